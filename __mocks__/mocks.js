@@ -1,3 +1,5 @@
+import { jest } from "@jest/globals";
+
 const idFieldMock = {
     column_name: "id",
     column_default: "nextval('tests_id_seq'::regclass)",
@@ -52,7 +54,27 @@ const joinedUsers = [
     { name: "Gustavo", address: "Yet another city" },
 ];
 
+// A pool of its own, for a model with read replicas. Every checkout gets the same client
+const createPool = ({ name, ...counts } = {}) => {
+    const client = {
+        name,
+        query: jest.fn(async () => ({ rows: [{ count: "1", exists: true }] })),
+        release: jest.fn(),
+    };
+
+    return {
+        totalCount: 0,
+        idleCount: 0,
+        waitingCount: 0,
+        ...counts,
+        client,
+        connect: jest.fn(async () => client),
+        end: jest.fn(async () => {}),
+    };
+};
+
 export {
+    createPool,
     idFieldMock,
     nameFieldMock,
     ageFieldMock,
@@ -1,7 +1,8 @@
 import fs from 'node:fs';
 import { parse } from 'csv-parse/sync';
 import { stringify } from 'csv-stringify/sync';
-import { QueryBuilder } from './QueryBuilder.js';
+import { QueryBuilder } from './queryBuilder.js';
+import { Seeder } from './Seeder.js';
 
 class CSVQueryBuilder extends QueryBuilder {
     /**
@@ -30,6 +31,34 @@ class CSVQueryBuilder extends QueryBuilder {
             });
         }
 
+        // Apply order. Empty values count as nulls and go last in ascending order, like in PostgreSQL
+        if (this._order.length > 0) {
+            const isNull = (value) => value === null || value === undefined || value === '';
+            const position = new Map(data.map((row, index) => [row, index]));
+            // Ties follow the direction of the last column, so a descending order mirrors the ascending one
+            const tieOrder = this._order[this._order.length - 1].order === 'desc' ? -1 : 1;
+
+            data.sort((a, b) => {
+                for (const { column, order, nulls } of this._order) {
+                    if (isNull(a[column]) || isNull(b[column])) {
+                        if (isNull(a[column]) && isNull(b[column])) continue;
+
+                        const nullsFirst = (nulls ?? (order === 'desc' ? 'first' : 'last')) === 'first';
+                        return isNull(a[column]) === nullsFirst ? -1 : 1;
+                    }
+
+                    if (a[column] === b[column]) continue;
+
+                    const result = a[column] > b[column] ? 1 : -1;
+                    return order === 'desc' ? -result : result;
+                }
+
+                return (position.get(a) - position.get(b)) * tieOrder;
+            });
+        } else if (this._desc) {
+            data.reverse();
+        }
+
         // Apply select
         if (this._select.length > 0 && this._select[0] !== '*') {
             data = data.map(row => {
@@ -43,22 +72,6 @@ class CSVQueryBuilder extends QueryBuilder {
             });
         }
 
-        // Apply order
-        if (this._order.length > 0) {
-            data.sort((a, b) => {
-                if (a[this._order[0]] > b[this._order[0]])
-                    return 1;
-                else if (a[this._order[0]] < b[this._order[0]])
-                    return -1;
-
-                return 0;
-            });
-        }
-
-        if (this._desc) {
-            data.reverse();
-        }
-
         return data;
     }
 
@@ -210,10 +223,13 @@ class CSVQueryBuilder extends QueryBuilder {
 class CSVDatabase {
     /**
      * @param {string} folderPath The path to the database folder.
+     * @param {object} [options] The options of the database.
+     * @param {string} [options.seedsDirectory='./seeds'] The folder with the seed files of `seed.run()`.
      */
-    constructor(folderPath) {
+    constructor(folderPath, { seedsDirectory } = {}) {
         //! Need to check if the folderPath exists
         this.databasePath = /\/$/.test(folderPath) ? folderPath : folderPath + '/';
+        this.seed = new Seeder(this, seedsDirectory);
     }
 
     /**
@@ -246,6 +262,24 @@ class CSVDatabase {
         );
     }
 
+    /**
+     * Writes a table from scratch, creating the file if needed.
+     * @param {string} tablePath The path to the table within the database. ".csv" is appended if missing.
+     * @param {Array<object>} rows The rows of the table. The header is made of every key of the rows.
+     * @returns {Promise<void>}
+     */
+    async writeTable(tablePath, rows) {
+        tablePath = tablePath.endsWith('.csv') ? tablePath : tablePath + '.csv';
+        if (tablePath.includes('..')) {
+            throw new Error('Invalid table name');
+        }
+
+        const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+        const csvString = stringify(rows, { header: true, columns });
+
+        await fs.promises.writeFile(this.databasePath + tablePath, csvString, 'utf-8');
+    }
+
     /**
      * Removes the table from the database.
      * @returns {Promise<void>}
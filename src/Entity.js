@@ -0,0 +1,402 @@
+import { Relation } from "./relations.js";
+
+/**
+ * Casts a value read from the database, or assigned by the user, to the JavaScript type of its column.
+ * @param {*} value The value to cast.
+ * @param {object} [column] The column data, same as for `TableQueryBuilder.add`.
+ * @returns {*} The cast value. Nulls and columns without a definition are left as they are.
+ */
+const cast = (value, column) => {
+    if (value === null || value === undefined || !column) return value;
+
+    if (column.cast instanceof Function) return column.cast(value);
+
+    const type = column.type.toLowerCase();
+
+    if (type.endsWith("[]")) {
+        return Array.isArray(value)
+            ? value.map((item) => cast(item, { ...column, type: type.slice(0, -2) }))
+            : value;
+    }
+
+    switch (type) {
+        case "pk":
+        case "identity":
+        case "int":
+        case "smallint":
+            return Number(value);
+        case "boolean":
+            return typeof value === "string" ? ["t", "true", "1"].includes(value) : Boolean(value);
+        case "date":
+        case "timestamp":
+        case "timestamptz":
+            return value instanceof Date ? value : new Date(value);
+        case "json":
+        case "jsonb":
+            return typeof value === "string" ? JSON.parse(value) : value;
+        default:
+            // bigint, bigserial, float and numeric stay strings, so they don't lose precision.
+            // A column with `cast: Number` gets numbers instead
+            return value;
+    }
+};
+
+/**
+ * Prepares a value for a query.
+ * @param {*} value The value of the attribute.
+ * @param {object} [column] The column data.
+ * @returns {*} The value pg can bind.
+ */
+const serialize = (value, column) => {
+    const type = column?.type.toLowerCase();
+
+    // pg would turn arrays into PostgreSQL arrays, json columns need the JSON text
+    if (["json", "jsonb"].includes(type) && value !== null && value !== undefined)
+        return JSON.stringify(value);
+
+    return value;
+};
+
+// The entity classes whose relation loaders are already defined
+const prepared = new WeakSet();
+
+class Entity {
+    /**
+     * The name of the table the entity is stored in.
+     * @type {string}
+     */
+    static table;
+
+    /**
+     * The columns of the table, keyed by name, with the same column data `TableQueryBuilder.add` accepts.
+     * The types drive the casting of attributes, and a `cast` function can be given for custom casting.
+     * Only these columns are saved. If there are none, every attribute is saved as it is.
+     * @type {Object<string, object>}
+     */
+    static columns = {};
+
+    /**
+     * The primary key column.
+     * @type {string}
+     */
+    static primaryKey = "id";
+
+    /**
+     * The relations of the entity, keyed by name, e.g. `{ posts: hasMany(() => Post) }`.
+     * Each relation gets a loader method with its name, so `await user.posts()` loads the posts
+     * the first time and returns the loaded ones after that.
+     * @type {Object<string, Relation>}
+     */
+    static relations = {};
+
+    // Static beforeInsert, afterInsert, beforeUpdate, afterUpdate, beforeDelete and afterDelete
+    // methods run as hooks around the writes of the entity, after the hooks the table has on the model.
+    // They receive the same context as the hooks of `Model.hook`.
+
+    /**
+     * The model entities query through. Setting it on `Entity` shares it with every entity.
+     * @type {Model}
+     */
+    static model = null;
+
+    #__persisted = false;
+    #__original = {};
+    #__relations = new Map();
+
+    /**
+     * Attributes are assigned here, so subclasses shouldn't declare them as class fields,
+     * which would overwrite them after this constructor runs.
+     * @param {object} [attributes={}] The attributes of the entity. They're cast by their columns.
+     */
+    constructor(attributes = {}) {
+        Entity.#__defineRelations(this.constructor);
+        this.fill(attributes);
+    }
+
+    /**
+     * Defines a loader method on the prototype of an entity class for each of its relations,
+     * e.g. `await user.posts()`.
+     * @param {Entity} entity The entity class.
+     * @throws {Error} If a relation is named like a method of Entity.
+     */
+    static #__defineRelations(entity) {
+        if (prepared.has(entity)) return;
+
+        for (const name of Object.keys(entity.relations)) {
+            if (name in Entity.prototype)
+                throw new Error(`The "${name}" relation of ${entity.name} clashes with an Entity method`);
+
+            if (Object.hasOwn(entity.prototype, name)) continue;
+
+            Object.defineProperty(entity.prototype, name, {
+                value: async function (model) {
+                    if (!this.#__relations.has(name)) await this.load(name, model);
+
+                    return this.#__relations.get(name);
+                },
+                writable: true,
+                configurable: true,
+            });
+        }
+
+        prepared.add(entity);
+    }
+
+    /**
+     * Returns a query builder for the table of the entity, whose select results are entities.
+     * Every column is selected unless `select` is called again.
+     * @param {Model|Transaction} [model=this.model] The model or transaction to query through.
+     * @returns {TableQueryBuilder} The query builder.
+     * @throws {Error} If the entity has no table or no model.
+     */
+    static query(model = this.model) {
+        if (!this.table) throw new Error(`${this.name} doesn't have a table`);
+        if (!model) throw new Error(`${this.name} doesn't have a model. Set ${this.name}.model or Entity.model`);
+
+        const builder = model.table(this.table).select();
+        builder.entity = this;
+
+        return builder;
+    }
+
+    /**
+     * Creates an entity from a row of the database.
+     * @param {object} row The row.
+     * @returns {Entity} The persisted entity.
+     */
+    static hydrate(row) {
+        const entity = new this(row);
+        entity.#__sync(true);
+
+        return entity;
+    }
+
+    /**
+     * Finds an entity by its primary key.
+     * @param {*} id The value of the primary key.
+     * @param {Model|Transaction} [model] The model or transaction to query through.
+     * @returns {Promise<Entity|undefined>} The entity, or undefined if there's no such row.
+     */
+    static async find(id, model) {
+        return await this.query(model).where(this.primaryKey, id).first();
+    }
+
+    /**
+     * Returns every entity of the table.
+     * @param {Model|Transaction} [model] The model or transaction to query through.
+     * @returns {Promise<Array<Entity>>} The entities.
+     */
+    static async all(model) {
+        return await this.query(model).get();
+    }
+
+    /**
+     * Creates an entity and saves it.
+     * @param {object} attributes The attributes of the entity.
+     * @param {Model|Transaction} [model] The model or transaction to query through.
+     * @returns {Promise<Entity>} The saved entity.
+     */
+    static async create(attributes, model) {
+        const entity = new this(attributes);
+        await entity.save(model);
+
+        return entity;
+    }
+
+    /**
+     * Loads relations of several entities at once, with one query per relation.
+     * @param {Array<Entity>} entities The entities to load the relations of.
+     * @param {string|Array<string>} relations The relations to load, e.g. `["posts.comments", "profile"]`.
+     * Nested relations are separated by dots.
+     * @param {Model|Transaction} [model] The model or transaction to query through.
+     * @returns {Promise<Array<Entity>>} The entities.
+     * @throws {Error} If the entity doesn't have one of the relations.
+     */
+    static async load(entities, relations, model) {
+        const tree = new Map();
+
+        for (const path of [relations].flat()) {
+            const [name, ...nested] = path.split(".");
+
+            if (!(this.relations[name] instanceof Relation))
+                throw new Error(`${this.name} doesn't have a "${name}" relation`);
+
+            if (!tree.has(name)) tree.set(name, []);
+            if (nested.length) tree.get(name).push(nested.join("."));
+        }
+
+        if (!entities.length) return entities;
+
+        for (const [name, nested] of tree) {
+            const values = await this.relations[name].load(this, entities, model, nested);
+
+            entities.forEach((entity, index) => entity.#__relations.set(name, values[index]));
+        }
+
+        return entities;
+    }
+
+    /**
+     * Loads relations of the entity, replacing the ones loaded before.
+     * @param {string|Array<string>} relations The relations to load, e.g. `"posts.comments"`.
+     * @param {Model|Transaction} [model] The model or transaction to query through.
+     * @returns {Promise<Entity>} The current instance of the Entity.
+     */
+    async load(relations, model) {
+        await this.constructor.load([this], relations, model);
+
+        return this;
+    }
+
+    /**
+     * Returns the attributes and the loaded relations, so entities serialize into nested objects.
+     * @returns {object} The plain object.
+     */
+    toJSON() {
+        return { ...this, ...Object.fromEntries(this.#__relations) };
+    }
+
+    /**
+     * Assigns attributes to the entity, casting them by their columns.
+     * @param {object} attributes The attributes to assign.
+     * @returns {Entity} The current instance of the Entity.
+     */
+    fill(attributes) {
+        const { columns } = this.constructor;
+
+        for (const [key, value] of Object.entries(attributes)) {
+            this[key] = cast(value, columns[key]);
+        }
+
+        return this;
+    }
+
+    /**
+     * Whether the entity is stored in the database.
+     * @returns {boolean}
+     */
+    get persisted() {
+        return this.#__persisted;
+    }
+
+    /**
+     * Returns the attributes that are saved, serialized for a query.
+     * @returns {object} The attributes keyed by column name.
+     */
+    #__attributes() {
+        const { columns } = this.constructor;
+        const keys = Object.keys(columns).length ? Object.keys(columns) : Object.keys(this);
+
+        return Object.fromEntries(
+            keys
+                .filter((key) => this[key] !== undefined)
+                .map((key) => [key, serialize(this[key], columns[key])])
+        );
+    }
+
+    /**
+     * Remembers the current attributes as the stored ones.
+     * @param {boolean} persisted Whether the entity is stored in the database.
+     */
+    #__sync(persisted) {
+        this.#__persisted = persisted;
+        this.#__original = persisted
+            ? Object.fromEntries(
+                  Object.entries(this.#__attributes()).map(([key, value]) => [key, JSON.stringify(value)])
+              )
+            : {};
+    }
+
+    /**
+     * Returns the attributes that changed since the entity was loaded or saved.
+     * @returns {object} The changed attributes keyed by column name.
+     */
+    dirty() {
+        return Object.fromEntries(
+            Object.entries(this.#__attributes()).filter(
+                ([key, value]) => this.#__original[key] !== JSON.stringify(value)
+            )
+        );
+    }
+
+    /**
+     * Inserts the entity, or updates its changed attributes if it's already stored.
+     * The attributes are refreshed with the row the database returns.
+     * @param {Model|Transaction} [model] The model or transaction to query through.
+     * @returns {Promise<Entity>} The current instance of the Entity.
+     * @throws {Error} If an update doesn't find the row of the entity.
+     */
+    async save(model) {
+        const { primaryKey } = this.constructor;
+        const query = this.constructor.query(model).returning();
+        let rows;
+
+        if (!this.#__persisted) {
+            rows = await query.insert(this.#__attributes());
+        } else {
+            const changes = this.dirty();
+
+            if (!Object.keys(changes).length) return this;
+
+            rows = await query.where(primaryKey, this[primaryKey]).update(changes);
+
+            if (!rows.length)
+                throw new Error(`${this.constructor.name} with ${primaryKey} ${this[primaryKey]} doesn't exist`);
+        }
+
+        this.fill(rows[0]);
+        this.#__sync(true);
+
+        return this;
+    }
+
+    /**
+     * Deletes the entity from the database.
+     * @param {Model|Transaction} [model] The model or transaction to query through.
+     * @returns {Promise<void>}
+     * @throws {Error} If the entity isn't stored in the database.
+     */
+    async delete(model) {
+        const { primaryKey } = this.constructor;
+
+        if (!this.#__persisted) throw new Error(`Can't delete a ${this.constructor.name} that isn't saved`);
+
+        await this.constructor.query(model).where(primaryKey, this[primaryKey]).delete();
+
+        this.#__sync(false);
+    }
+}
+
+// Let queries start right from the entity, e.g. `User.where("age", ">", 18).get()`
+for (const method of [
+    "select",
+    "where",
+    "whereNot",
+    "whereIn",
+    "whereNotIn",
+    "whereNull",
+    "whereNotNull",
+    "whereBetween",
+    "whereLike",
+    "whereILike",
+    "whereRaw",
+    "orderBy",
+    "orderByRaw",
+    "limit",
+    "offset",
+    "paginate",
+    "cursorPaginate",
+    "with",
+    "withTrashed",
+    "onlyTrashed",
+    "onPrimary",
+    "count",
+    "first",
+    "last",
+]) {
+    Entity[method] = function (...args) {
+        return this.query()[method](...args);
+    };
+}
+
+export { Entity };
@@ -0,0 +1,235 @@
+import fs from "node:fs";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import format from "pg-format";
+
+const MIGRATIONS_TABLE = "commandorm_migrations";
+
+const migrationTemplate = `/**
+ * @param {import("commandorm").Model} model The transaction the migration runs in.
+ */
+export const up = async (model) => {};
+
+/**
+ * @param {import("commandorm").Model} model The transaction the migration runs in.
+ */
+export const down = async (model) => {};
+`;
+
+class Migrator {
+    /**
+     * @param {Model} model The model to migrate.
+     * @param {string} [directory="./migrations"] The folder with the migration files.
+     */
+    constructor(model, directory = "./migrations") {
+        this.model = model;
+        this.directory = directory;
+    }
+
+    /**
+     * Returns the names of the migration files, oldest first.
+     * Migration files are named `<YYYYMMDDHHmmss>_<name>.js`.
+     * @returns {Promise<Array<string>>} The file names.
+     */
+    async #__files() {
+        if (!fs.existsSync(this.directory)) return [];
+
+        const files = await fs.promises.readdir(this.directory);
+
+        return files.filter((file) => /^\d{14}_[\w-]+\.m?js$/.test(file)).sort();
+    }
+
+    /**
+     * Imports a migration file.
+     * @param {string} file The name of the migration file.
+     * @returns {Promise<object>} The module with the `up` and `down` functions.
+     * @throws {Error} If the file doesn't export both functions.
+     */
+    async #__load(file) {
+        const url = pathToFileURL(path.resolve(this.directory, file)).href;
+        const migration = await import(url);
+
+        if (!(migration.up instanceof Function) || !(migration.down instanceof Function))
+            throw new Error(`The "${file}" migration must export up and down functions`);
+
+        return migration;
+    }
+
+    /**
+     * Checks out a client, creates the migrations table if needed and holds an advisory lock
+     * while the callback runs, so only one process migrates at a time. The lock belongs to the session
+     * of the client, so the migrations run on it as well. If the lock can't be released,
+     * the client is disconnected, which releases it too.
+     * @param {function(object): Promise<any>} fn The callback that receives the locked client.
+     * @returns {Promise<any>} Whatever the callback returned.
+     */
+    async #__locked(fn) {
+        return await this.model.operation(async () => {
+            const client = await this.model.connect();
+            let broken = false;
+
+            try {
+                await this.model.execute(
+                    client,
+                    `SELECT pg_advisory_lock(hashtext('${MIGRATIONS_TABLE}'))`
+                );
+
+                try {
+                    await this.model.execute(
+                        client,
+                        format(
+                            `CREATE TABLE IF NOT EXISTS %I (
+                                id SERIAL PRIMARY KEY,
+                                name VARCHAR(255) NOT NULL UNIQUE,
+                                batch INT NOT NULL,
+                                migrated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+                            )`,
+                            MIGRATIONS_TABLE
+                        )
+                    );
+
+                    return await fn(client);
+                } finally {
+                    try {
+                        await this.model.execute(
+                            client,
+                            `SELECT pg_advisory_unlock(hashtext('${MIGRATIONS_TABLE}'))`
+                        );
+                    } catch {
+                        // Keeps the error of the migrations, if any
+                        broken = true;
+                    }
+                }
+            } finally {
+                this.model.release(client, broken);
+            }
+        });
+    }
+
+    /**
+     * Returns the applied migrations, oldest first.
+     * @param {object} client The client to query with.
+     * @returns {Promise<Array<object>>} The rows of the migrations table.
+     */
+    async #__applied(client) {
+        const { rows } = await this.model.execute(
+            client,
+            format(`SELECT name, batch, migrated_at FROM %I ORDER BY id`, MIGRATIONS_TABLE)
+        );
+
+        return rows;
+    }
+
+    /**
+     * Runs every pending migration. The migrations run as one batch, each inside its own transaction
+     * on the client that holds the lock.
+     * @returns {Promise<Array<string>>} The names of the migrations that ran.
+     * @throws {Error} If a migration fails. The migrations before it stay applied.
+     */
+    async latest() {
+        return await this.#__locked(async (client) => {
+            const applied = await this.#__applied(client);
+            const names = applied.map((row) => row.name);
+            const pending = (await this.#__files()).filter((file) => !names.includes(file));
+
+            const batch = Math.max(0, ...applied.map((row) => row.batch)) + 1;
+
+            for (const file of pending) {
+                const migration = await this.#__load(file);
+
+                await this.model.transaction(
+                    async (trx) => {
+                        await migration.up(trx);
+                        await trx.execute(
+                            trx.client,
+                            format(
+                                `INSERT INTO %I (name, batch) VALUES (%L, %L)`,
+                                MIGRATIONS_TABLE,
+                                file,
+                                batch
+                            )
+                        );
+                    },
+                    { client }
+                );
+            }
+
+            return pending;
+        });
+    }
+
+    /**
+     * Reverts the migrations of the last batch, newest first. Each runs inside its own transaction.
+     * @returns {Promise<Array<string>>} The names of the reverted migrations.
+     * @throws {Error} If the file of an applied migration is missing or its down function fails.
+     */
+    async rollback() {
+        return await this.#__locked(async (client) => {
+            const applied = await this.#__applied(client);
+            const batch = Math.max(0, ...applied.map((row) => row.batch));
+            const files = await this.#__files();
+
+            const reverted = applied
+                .filter((row) => row.batch === batch)
+                .map((row) => row.name)
+                .reverse();
+
+            for (const file of reverted) {
+                if (!files.includes(file))
+                    throw new Error(`The file of the "${file}" migration is missing`);
+
+                const migration = await this.#__load(file);
+
+                await this.model.transaction(
+                    async (trx) => {
+                        await migration.down(trx);
+                        await trx.execute(
+                            trx.client,
+                            format(`DELETE FROM %I WHERE name = %L`, MIGRATIONS_TABLE, file)
+                        );
+                    },
+                    { client }
+                );
+            }
+
+            return reverted;
+        });
+    }
+
+    /**
+     * Lists the applied and the pending migrations.
+     * @returns {Promise<{ applied: Array<object>, pending: Array<string> }>} The applied migrations
+     * with their `name`, `batch` and `migrated_at`, and the names of the pending ones.
+     */
+    async status() {
+        return await this.#__locked(async (client) => {
+            const applied = await this.#__applied(client);
+            const names = applied.map((row) => row.name);
+            const pending = (await this.#__files()).filter((file) => !names.includes(file));
+
+            return { applied, pending };
+        });
+    }
+
+    /**
+     * Creates a new migration file, with empty up and down functions unless the source is given.
+     * @param {string} name The name of the migration, e.g. "create_users".
+     * @param {string} [source] The source of the file, e.g. from `model.diffSchema(schema, { as: "migration" })`.
+     * @returns {Promise<string>} The path to the new file.
+     * @throws {Error} If the name contains anything other than letters, digits, "_" and "-".
+     */
+    async make(name, source = migrationTemplate) {
+        if (!/^[\w-]+$/.test(name))
+            throw new Error(`Migration names can only contain letters, digits, "_" and "-"`);
+
+        const timestamp = new Date().toISOString().replace(/\D/g, "").slice(0, 14);
+        const file = path.join(this.directory, `${timestamp}_${name}.js`);
+
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await fs.promises.writeFile(file, source, { encoding: "utf-8", flag: "wx" });
+
+        return file;
+    }
+}
+
+export { Migrator };
@@ -1,15 +1,187 @@
 import format from "pg-format";
+import { EventEmitter } from "node:events";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { inspect } from "node:util";
 import { Pool } from "pg";
 import { validateSQLName } from "./validation.js";
 import { TableQueryBuilder } from "./TableQueryBuilder.js";
+import { TableBuilder } from "./TableBuilder.js";
+import { Migrator } from "./Migrator.js";
+import { Seeder } from "./Seeder.js";
+import { diffSchema, renderSql, renderMigration } from "./schemaDiff.js";
+import {
+    ValidationError,
+    DeadlockError,
+    SerializationFailureError,
+    ConnectionError,
+    toDatabaseError,
+} from "./errors.js";
 
-class Model {
+// The hooks that can run around the writes to a table
+const hookNames = [
+    "beforeInsert",
+    "afterInsert",
+    "beforeUpdate",
+    "afterUpdate",
+    "beforeDelete",
+    "afterDelete",
+];
+
+// The isolation levels a transaction can run at
+const isolationLevels = ["read uncommitted", "read committed", "repeatable read", "serializable"];
+
+/**
+ * Builds the BEGIN statement of a transaction.
+ * @param {object} [options] The modes of the transaction, see `Model.transaction`.
+ * @returns {string} The BEGIN statement.
+ * @throws {ValidationError} If the isolation level is unknown.
+ */
+const beginStatement = ({ isolationLevel, readOnly = false, deferrable = false } = {}) => {
+    const modes = [];
+
+    if (isolationLevel !== undefined) {
+        const level = String(isolationLevel).toLowerCase().replaceAll("_", " ");
+
+        if (!isolationLevels.includes(level))
+            throw new ValidationError(`Unknown isolation level: ${isolationLevel}`, {
+                reason: "invalid-option",
+                option: "isolationLevel",
+                value: isolationLevel,
+            });
+
+        modes.push(`ISOLATION LEVEL ${level.toUpperCase()}`);
+    }
+
+    if (readOnly) modes.push("READ ONLY");
+    if (deferrable) modes.push("DEFERRABLE");
+
+    return ["BEGIN", ...modes].join(" ");
+};
+
+/**
+ * The default delay before a transaction is retried: 50ms, 100ms, 200ms and so on, up to 2s.
+ * @param {number} attempt The number of the retry. Starts from 1.
+ * @returns {number} The delay in milliseconds.
+ */
+const defaultBackoff = (attempt) => Math.min(2000, 50 * 2 ** (attempt - 1));
+
+/**
+ * Emits "query" before every query of the query builders runs, and then either "query-response"
+ * or "query-error". Queries that take at least `_slowQueryThreshold` milliseconds also emit "slow-query".
+ * The events receive an object with the `sql`, `bindings` and `table` of the query, and after it ran
+ * also its `duration` in milliseconds and its `rowCount`, or the `error` it failed with.
+ */
+class Model extends EventEmitter {
     /**
-     * @param {object} config The database configuration object.
+     * @param {object} config The database configuration object. To use read replicas, pass the configuration
+     * of the primary as `write` and the configurations of the replicas as `read`, e.g.
+     * `{ write: { host: "primary" }, read: [{ host: "replica-1" }, { host: "replica-2" }] }`.
+     * Reads of the query builders and the introspection methods then go to the replicas in turn,
+     * while writes, DDL and transactions stay on the primary, and so do the introspection queries
+     * writes and DDL check their columns with, since a replica can lag behind.
+     * `_schemaName`, `_migrationsDirectory` (defaults to "./migrations"), `_seedsDirectory`
+     * (defaults to "./seeds"), `_debug` and `_slowQueryThreshold` configure CommandORM itself.
+     * `_debug` prints every query of the query builders, either with `console.log` if it's `true`,
+     * or with the function it's set to.
      */
     constructor(config) {
-        this.pool = new Pool(config);
+        super();
+        // With read replicas, `write` configures the primary and `read` the replicas
+        this.pool = new Pool(config.write ?? config);
+        this.readPools = config.write ? (config.read ?? []).map((replica) => new Pool(replica)) : [];
+        this.replicaIndex = 0;
         this.schemaName = config._schemaName;
+        this.debug = config._debug ?? false;
+        this.slowQueryThreshold = config._slowQueryThreshold ?? null;
+        this.migrate = new Migrator(this, config._migrationsDirectory);
+        this.seed = new Seeder(this, config._seedsDirectory);
+        // The hooks of each table, keyed by table name and then by hook name
+        this.hooks = {};
+        // The timestamps and soft delete settings of each table, keyed by table name
+        this.tables = {};
+        // Lifetime counters, see `stats()`
+        this.counters = { queries: 0, errors: 0, checkouts: 0, checkoutWait: 0 };
+        this.closing = false;
+    }
+
+    // How many times each client is checked out through `connect()` and not released yet
+    #__active = new Map();
+    // How many operations are in flight, see `operation()`
+    #__operations = 0;
+    // Marks the code that runs inside an operation, so its checkouts go through while `close()` drains
+    #__operation = new AsyncLocalStorage();
+    // Resolves the wait of `close()` once the last client is released and the last operation ended
+    #__drained = null;
+    // Whether `close()` is waiting for the operations in flight
+    #__draining = false;
+    // The shutdown started by the first call of `close()`
+    #__closed = null;
+
+    /**
+     * Turns on conventions for a table.
+     * With timestamps, `insert` and `upsert` fill the creation and update columns
+     * and `update` fills the update column, unless the values already have them.
+     * With soft deletes, `delete` sets the deletion column instead of removing the rows,
+     * and queries leave out the deleted rows unless `withTrashed` or `onlyTrashed` is called.
+     * @param {string} tableName The name of the table.
+     * @param {object} [options] The conventions of the table.
+     * @param {boolean|{ createdAt: string, updatedAt: string }} [options.timestamps=false] Whether to fill
+     * the timestamps, or the names of their columns. They default to "created_at" and "updated_at".
+     * @param {boolean|string} [options.softDeletes=false] Whether to soft delete rows, or the name of
+     * the deletion column. It defaults to "deleted_at".
+     * @returns {Model} The current instance of the Model.
+     * @throws {Error} If any of the column names are invalid.
+     */
+    configureTable(tableName, { timestamps = false, softDeletes = false } = {}) {
+        validateSQLName(tableName);
+
+        const settings = {
+            timestamps: timestamps
+                ? { createdAt: "created_at", updatedAt: "updated_at", ...(timestamps === true ? {} : timestamps) }
+                : null,
+            softDeletes: softDeletes === true ? "deleted_at" : softDeletes || null,
+        };
+
+        if (settings.timestamps)
+            validateSQLName(settings.timestamps.createdAt, settings.timestamps.updatedAt);
+        if (settings.softDeletes) validateSQLName(settings.softDeletes);
+
+        this.tables[tableName] = settings;
+
+        return this;
+    }
+
+    /**
+     * Registers a hook that runs around the writes to a table, e.g. for auditing or counters.
+     * Hooks run in the order they were registered, inside the same transaction as the write,
+     * so a hook that throws aborts the write. `upsert` runs the insert hooks.
+     * Each hook receives a context with:
+     * - `table`, the name of the table,
+     * - `operation`, one of "insert", "upsert", "update" and "delete",
+     * - `model`, the transaction the write runs in, to make queries with,
+     * - `client`, the client of that transaction,
+     * - `rows`, the values to insert in before hooks and the written rows in after hooks,
+     * - `values`, the values to set in update hooks.
+     * @param {string} tableName The name of the table.
+     * @param {string} hook One of "beforeInsert", "afterInsert", "beforeUpdate", "afterUpdate",
+     * "beforeDelete" and "afterDelete".
+     * @param {function(object): Promise<void>} fn The hook.
+     * @returns {function(): void} A function that removes the hook.
+     * @throws {Error} If the hook name is unknown or the hook isn't a function.
+     */
+    hook(tableName, hook, fn) {
+        validateSQLName(tableName);
+
+        if (!hookNames.includes(hook)) throw new Error(`Unknown hook: ${hook}`);
+        if (typeof fn !== "function") throw new Error(`The "${hook}" hook must be a function`);
+
+        const hooks = ((this.hooks[tableName] ??= {})[hook] ??= []);
+        hooks.push(fn);
+
+        return () => {
+            const index = hooks.indexOf(fn);
+            if (index !== -1) hooks.splice(index, 1);
+        };
     }
 
     /**
@@ -18,66 +190,444 @@ class Model {
      * It will receive a `client` object as its last argument.                                                                                                                                 │
      * @returns {function} An asynchronous function that, when called, will                                                                                                                    │
      * execute the decorated method with a connected database client.
+     * Database errors are rethrown as the matching DatabaseError, other errors as they are.
+     * @param {object} [options] The options of the decorator.
+     * @param {boolean} [options.replica=false] Whether the method only reads, so it can run on a read replica.
      */
-    decorator(fn) {
-        return async (...args) => {
-            const client = await this.pool.connect();
+    decorator(fn, { replica = false } = {}) {
+        return async (...args) =>
+            await this.operation(async () => {
+                const client = await this.connect(replica);
+
+                try {
+                    return await fn(...args, client);
+                } catch (error) {
+                    throw toDatabaseError(error);
+                } finally {
+                    this.release(client);
+                }
+            });
+    }
+
+    /**
+     * Runs an operation that can check out clients several times, like the methods of the query builders
+     * that read the schema of the table before they run their query. `close()` waits for the operations
+     * in flight and lets their checkouts through meanwhile. Operations started inside an operation are part of it.
+     * @param {function(): Promise<any>} fn The operation.
+     * @returns {Promise<any>} Whatever the operation returned.
+     * @throws {ConnectionError} If the model is closing.
+     */
+    async operation(fn) {
+        if (this.#__operation.getStore()) return await fn();
+        if (this.closing) throw new ConnectionError(new Error("The model is closing"));
+
+        this.#__operations++;
+
+        try {
+            return await this.#__operation.run(true, fn);
+        } finally {
+            this.#__operations--;
+            if (this.#__idle()) this.#__drained?.();
+        }
+    }
+
+    /**
+     * Whether no client is checked out and no operation is in flight.
+     * @returns {boolean}
+     */
+    #__idle() {
+        return !this.#__active.size && !this.#__operations;
+    }
+
+    /**
+     * Checks out a client from the pool of the primary, or from the pool of the next read replica.
+     * The client must be given back with `release()`.
+     * @param {boolean} [replica=false] Whether a read replica can be used.
+     * @returns {Promise<object>} The client.
+     * @throws {ConnectionError} If the database can't be reached or the model is closing.
+     */
+    async connect(replica = false) {
+        let pool = this.pool;
+
+        if (replica && this.readPools.length) {
+            pool = this.readPools[this.replicaIndex];
+            this.replicaIndex = (this.replicaIndex + 1) % this.readPools.length;
+        }
+
+        return await this.#__checkout(pool);
+    }
+
+    /**
+     * Checks out a client from a pool, counting the time spent waiting for it.
+     * @param {Pool} pool The pool to check out from.
+     * @returns {Promise<object>} The client.
+     * @throws {ConnectionError} If the database can't be reached, or the model is closing
+     * and the checkout isn't part of an operation in flight.
+     */
+    async #__checkout(pool) {
+        if (this.closing && !(this.#__operation.getStore() && this.#__draining))
+            throw new ConnectionError(new Error("The model is closing"));
+
+        const start = performance.now();
+
+        try {
+            const client = await pool.connect();
+            this.#__active.set(client, (this.#__active.get(client) ?? 0) + 1);
 
+            return client;
+        } catch (error) {
+            this.counters.errors++;
+            throw toDatabaseError(error);
+        } finally {
+            this.counters.checkouts++;
+            this.counters.checkoutWait += performance.now() - start;
+        }
+    }
+
+    /**
+     * Gives a client checked out with `connect()` back to its pool.
+     * Clients that `close()` already released forcibly are skipped.
+     * @param {object} client The client.
+     * @param {boolean} [destroy=false] Whether to disconnect the client instead of keeping it in the pool.
+     */
+    release(client, destroy = false) {
+        const checkouts = this.#__active.get(client);
+
+        if (!checkouts) return;
+
+        if (checkouts > 1) this.#__active.set(client, checkouts - 1);
+        else this.#__active.delete(client);
+
+        if (destroy) client.release(true);
+        else client.release();
+
+        if (this.#__idle()) this.#__drained?.();
+    }
+
+    /**
+     * Runs a query of CommandORM itself on a client, like the introspection, transaction control, cursor
+     * and migration bookkeeping queries, without emitting the query events. It's counted in `stats()`.
+     * @param {object} client The client to run the query on.
+     * @param {...any} args The arguments of `client.query`, either the sql and its values or a query object.
+     * @returns {Promise<object>} The result of the query.
+     * @throws {DatabaseError} If the query fails, with its `sql` and `bindings`.
+     */
+    async execute(client, ...args) {
+        this.counters.queries++;
+
+        try {
+            return await client.query(...args);
+        } catch (error) {
+            this.counters.errors++;
+
+            const [query, values] = args;
+            const failed =
+                typeof query === "string"
+                    ? { sql: query, bindings: values }
+                    : { sql: query.text, bindings: query.values };
+
+            throw toDatabaseError(error, failed);
+        }
+    }
+
+    /**
+     * Runs a query on a client, timing it and emitting its events.
+     * @param {object} client The client to run the query on.
+     * @param {{ text: string, values: Array<any> }} query The query with its "$n" placeholders and their values.
+     * @param {string} [table] The table the query is about.
+     * @returns {Promise<object>} The result of the query.
+     */
+    async runQuery(client, { text, values }, table) {
+        const event = { sql: text, bindings: values, table };
+        const start = performance.now();
+
+        this.emit("query", event);
+        this.counters.queries++;
+
+        try {
+            const result = await client.query({ text, values });
+            const response = {
+                ...event,
+                duration: performance.now() - start,
+                rowCount: result?.rowCount ?? result?.rows?.length ?? 0,
+            };
+
+            this.emit("query-response", response);
+            this.#__report(response);
+
+            return result;
+        } catch (cause) {
+            const error = toDatabaseError(cause, { sql: text, bindings: values });
+            const failure = { ...event, duration: performance.now() - start, error };
+            this.counters.errors++;
+
+            this.emit("query-error", failure);
+            this.#__report(failure);
+
+            throw error;
+        }
+    }
+
+    /**
+     * Prints a query in debug mode and emits "slow-query" if it took too long.
+     * @param {object} query The event data of the query.
+     */
+    #__report(query) {
+        const { sql, bindings, table, duration, rowCount, error } = query;
+
+        if (this.slowQueryThreshold !== null && duration >= this.slowQueryThreshold)
+            this.emit("slow-query", query);
+
+        if (!this.debug) return;
+
+        const log = typeof this.debug === "function" ? this.debug : console.log;
+        const outcome = error ? `failed: ${error.message}` : `${rowCount} rows`;
+
+        log(
+            [
+                `[commandORM] ${table ?? "-"} ${duration.toFixed(2)}ms ${outcome}`,
+                `  ${sql.trim().replace(/\s+/g, " ")}`,
+                ...(bindings?.length ? [`  bindings: ${inspect(bindings, { breakLength: Infinity })}`] : []),
+            ].join("\n")
+        );
+    }
+
+    /**
+     * Runs a callback inside a database transaction. A single client is checked out of the pool
+     * and every query made through the transaction handle runs on it.
+     * Commits when the callback resolves and rolls back if it throws.
+     * With retries, the whole callback runs again after a serialization failure (40001) or
+     * a deadlock (40P01), so it shouldn't have side effects outside of the database.
+     * @param {function(Transaction): Promise<any>} fn The callback that receives the transaction handle.
+     * @param {object} [options] The options of the transaction.
+     * @param {string} [options.isolationLevel] Either "read uncommitted", "read committed",
+     * "repeatable read" or "serializable". The default level of the database is used if omitted.
+     * @param {boolean} [options.readOnly=false] Whether the transaction is READ ONLY.
+     * @param {boolean} [options.deferrable=false] Whether the transaction is DEFERRABLE. Only has an effect
+     * on serializable read only transactions.
+     * @param {number} [options.retries=0] How many times the transaction is retried.
+     * @param {number|function(number): number} [options.backoff] The delay before a retry in milliseconds,
+     * or a function that receives the number of the retry and returns it. Doubles from 50ms by default.
+     * @param {object} [options.client] A client checked out with `connect()` to run the transaction on,
+     * instead of checking out a new one. It's left checked out afterwards.
+     * @returns {Promise<any>} A promise that resolves to whatever the callback returned.
+     * @throws {ValidationError} If the options are invalid.
+     */
+    async transaction(fn, options = {}) {
+        const { retries = 0, backoff = defaultBackoff, client } = options;
+        const begin = beginStatement(options);
+
+        if (!Number.isInteger(retries) || retries < 0)
+            throw new ValidationError("Retries must be a non negative integer", {
+                reason: "invalid-option",
+                option: "retries",
+                value: retries,
+            });
+
+        // The retries are part of the operation, so `close()` waits for them too
+        return await this.operation(async () => {
+            for (let attempt = 1; ; attempt++) {
+                try {
+                    return await this.#__transaction(fn, begin, client);
+                } catch (error) {
+                    const retryable =
+                        error instanceof SerializationFailureError || error instanceof DeadlockError;
+
+                    if (!retryable || attempt > retries) throw error;
+
+                    const delay = typeof backoff === "function" ? backoff(attempt) : backoff;
+
+                    if (delay > 0) await new Promise((resolve) => setTimeout(resolve, delay));
+                }
+            }
+        });
+    }
+
+    /**
+     * Runs a callback inside a single database transaction.
+     * @param {function(Transaction): Promise<any>} fn The callback that receives the transaction handle.
+     * @param {string} begin The BEGIN statement.
+     * @param {object} [pinned] The client to run the transaction on. A new one is checked out if omitted.
+     * @returns {Promise<any>} A promise that resolves to whatever the callback returned.
+     */
+    async #__transaction(fn, begin, pinned) {
+        const client = pinned ?? (await this.connect());
+        const trx = new Transaction(this, client);
+        let broken = false;
+
+        try {
+            await this.execute(client, begin);
+            const result = await fn(trx);
+            await this.execute(client, "COMMIT");
+
+            return result;
+        } catch (error) {
             try {
-                return await fn(...args, client);
-            } catch (error) {
-                throw new Error(error.message ?? "Oops something went wrong");
-            } finally {
-                client.release();
+                await this.execute(client, "ROLLBACK");
+            } catch {
+                // The connection is most likely gone, so the client can't go back to the pool
+                broken = true;
             }
-        };
+
+            throw toDatabaseError(error);
+        } finally {
+            trx.completed = true;
+            if (!pinned) this.release(client, broken);
+        }
     }
 
     /**
      * Begins a new database transaction. All subsequent operations will be part of this transaction
      * until either `commit()` or `rollback()` is called.
+     * @deprecated Every call checks out its own client, so the queries in between don't run
+     * on the same connection. Use `transaction()` instead.
+     * @param {object} [options] The isolation level and the modes of the transaction, see `transaction()`.
      * @returns {Promise<void>} A promise that resolves when the transaction has begun.
      */
-    async begin() {
+    async begin(options) {
+        const begin = beginStatement(options);
+
         return await this.decorator(async (client) => {
-            await client.query("BEGIN");
+            await this.execute(client, begin);
         })();
     }
 
     /**
      * Commits the current database transaction, making all changes permanent.
+     * @deprecated Use `transaction()` instead.
      * @returns {Promise<void>} A promise that resolves when the transaction has been committed.
      */
     async commit() {
         return await this.decorator(async (client) => {
-            await client.query("COMMIT");
+            await this.execute(client, "COMMIT");
         })();
     }
 
     /**
      * Rolls back the current database transaction, discarding all changes made since `begin()`.
+     * @deprecated Use `transaction()` instead.
      * @returns {Promise<void>} A promise that resolves when the transaction has been rolled back.
      */
     async rollback() {
         return await this.decorator(async (client) => {
-            await client.query("ROLLBACK");
+            await this.execute(client, "ROLLBACK");
         })();
     }
 
+    /**
+     * Returns the state of the pools of the primary and the read replicas, summed up,
+     * along with lifetime counters.
+     * @returns {{ total: number, idle: number, waiting: number, active: number, queries: number,
+     * errors: number, checkouts: number, checkoutWait: number }} The clients of the pools
+     * (`total`, `idle`, and `waiting` for the callers queued for a client), the clients checked out
+     * through the model (`active`), the queries run through the model, the failed queries and checkouts,
+     * and the number of checkouts with the total time spent waiting for them in milliseconds.
+     */
+    stats() {
+        const pools = [this.pool, ...this.readPools];
+        const sum = (key) => pools.reduce((total, pool) => total + (pool[key] ?? 0), 0);
+
+        return {
+            total: sum("totalCount"),
+            idle: sum("idleCount"),
+            waiting: sum("waitingCount"),
+            active: [...this.#__active.values()].reduce((total, checkouts) => total + checkouts, 0),
+            ...this.counters,
+        };
+    }
+
+    /**
+     * Runs `SELECT 1` on the primary and on every read replica. Meant for readiness probes, so it doesn't throw.
+     * @param {object} [options] The options of the check.
+     * @param {number} [options.timeout=5000] How long to wait for the databases in milliseconds.
+     * @returns {Promise<{ healthy: boolean, duration: number, error?: Error }>} Whether every database answered
+     * in time, how long the check took, and the first error if one didn't.
+     */
+    async healthCheck({ timeout = 5000 } = {}) {
+        const start = performance.now();
+        let timer;
+
+        const ping = async (pool) => {
+            const client = await this.#__checkout(pool);
+
+            try {
+                await this.execute(client, "SELECT 1");
+            } finally {
+                this.release(client);
+            }
+        };
+        const expired = new Promise((resolve, reject) => {
+            timer = setTimeout(
+                () => reject(new ConnectionError(new Error(`Health check timed out after ${timeout}ms`))),
+                timeout
+            );
+        });
+
+        try {
+            await Promise.race([Promise.all([this.pool, ...this.readPools].map(ping)), expired]);
+
+            return { healthy: true, duration: performance.now() - start };
+        } catch (error) {
+            return { healthy: false, duration: performance.now() - start, error: toDatabaseError(error) };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
     /**
      * Closes all connections to the PostgreSQL server.
-     * Should be run at the end of the programm.
+     * Should be run at the end of the programm. New operations are refused from the moment it's called,
+     * and the operations in flight and the clients still checked out are waited for before the pools end.
+     * @param {object} [options] The options of the shutdown.
+     * @param {number} [options.drainTimeout] How long to wait for them in milliseconds.
+     * Clients still checked out after that are disconnected and the operations in flight can't check out
+     * new ones. Waits as long as it takes if omitted.
+     * Later calls return the shutdown of the first one and their options are ignored.
+     * @returns {Promise<void>}
      */
-    async close() {
-        await this.pool.end();
+    async close(options) {
+        this.#__closed ??= this.#__close(options);
+
+        return await this.#__closed;
+    }
+
+    /**
+     * Drains the clients and ends the pools.
+     * @param {object} [options] The options of `close()`.
+     * @returns {Promise<void>}
+     */
+    async #__close({ drainTimeout } = {}) {
+        this.closing = true;
+
+        if (!this.#__idle()) {
+            let timer;
+
+            this.#__draining = true;
+
+            await new Promise((resolve) => {
+                this.#__drained = resolve;
+                if (drainTimeout !== undefined) timer = setTimeout(resolve, drainTimeout);
+            });
+
+            clearTimeout(timer);
+            this.#__drained = null;
+            this.#__draining = false;
+
+            for (const [client, checkouts] of [...this.#__active]) {
+                for (let i = 0; i < checkouts; i++) this.release(client, true);
+            }
+        }
+
+        await Promise.all([this.pool, ...this.readPools].map((pool) => pool.end()));
     }
 
     /**
      * Retrieves primary keys for a given table.
      * @param {string} tableName the name of the table
+     * @param {boolean} [replica=true] Whether the keys can be read from a read replica.
      * @returns An array with objects inside. Each object represents one primary key and their type
      */
-    async getPrimaryKeys(tableName) {
+    async getPrimaryKeys(tableName, replica = true) {
         return await this.decorator(async (tableName, client) => {
             const sql = `
                 SELECT c.column_name, c.data_type
@@ -88,40 +638,122 @@ class Model {
                 WHERE constraint_type = 'PRIMARY KEY' and tc.table_name = $1;
             `;
 
-            const { rows } = await client.query(sql, [tableName]);
+            const { rows } = await this.execute(client, sql, [tableName]);
 
             return rows;
-        })(tableName);
+        }, { replica })(tableName);
+    }
+
+    /**
+     * Retrieves the constraints of a given table.
+     * @param {string} tableName The name of the table.
+     * @param {boolean} [replica=true] Whether it can be read from a read replica.
+     * @returns {Promise<Array<object>>} A promise that resolves to an array of objects,
+     * each representing one constraint. Each object contains `name`, `type` ('PRIMARY KEY',
+     * 'FOREIGN KEY', 'UNIQUE', 'CHECK' or 'EXCLUDE'), `columns`, `foreign_table`, `foreign_columns`,
+     * `on_delete`, `on_update` and `definition`. The foreign fields are null for other constraints.
+     */
+    async getConstraints(tableName, replica = true) {
+        return await this.decorator(async (tableName, client) => {
+            const columns = (table, keys) => `
+                ARRAY(
+                    SELECT a.attname::text
+                    FROM unnest(${keys}) WITH ORDINALITY AS k(attnum, n)
+                    JOIN pg_attribute a ON a.attrelid = ${table} AND a.attnum = k.attnum
+                    ORDER BY k.n
+                )
+            `;
+            const action = (type) => `
+                CASE ${type}
+                    WHEN 'a' THEN 'NO ACTION' WHEN 'r' THEN 'RESTRICT' WHEN 'c' THEN 'CASCADE'
+                    WHEN 'n' THEN 'SET NULL' WHEN 'd' THEN 'SET DEFAULT'
+                END
+            `;
+
+            const sql = `
+                SELECT con.conname AS name,
+                    CASE con.contype
+                        WHEN 'p' THEN 'PRIMARY KEY' WHEN 'f' THEN 'FOREIGN KEY'
+                        WHEN 'u' THEN 'UNIQUE' WHEN 'c' THEN 'CHECK' WHEN 'x' THEN 'EXCLUDE'
+                    END AS type,
+                    ${columns("con.conrelid", "con.conkey")} AS columns,
+                    ft.relname AS foreign_table,
+                    CASE WHEN con.contype = 'f' THEN ${columns("con.confrelid", "con.confkey")} END AS foreign_columns,
+                    CASE WHEN con.contype = 'f' THEN ${action("con.confdeltype")} END AS on_delete,
+                    CASE WHEN con.contype = 'f' THEN ${action("con.confupdtype")} END AS on_update,
+                    pg_get_constraintdef(con.oid) AS definition
+                FROM pg_constraint con
+                JOIN pg_class t ON t.oid = con.conrelid
+                JOIN pg_namespace ns ON ns.oid = t.relnamespace
+                LEFT JOIN pg_class ft ON ft.oid = con.confrelid
+                WHERE ns.nspname = $1
+                AND t.relname = $2
+                ORDER BY con.conname;
+            `;
+
+            const { rows } = await this.execute(client, sql, [this.schemaName, tableName]);
+
+            return rows;
+        }, { replica })(tableName);
+    }
+
+    /**
+     * Retrieves the indexes of a given table from `pg_indexes`.
+     * @param {string} tableName The name of the table.
+     * @param {boolean} [replica=true] Whether it can be read from a read replica.
+     * @returns {Promise<Array<object>>} A promise that resolves to an array of objects,
+     * each representing one index. Each object contains `name` and `definition`,
+     * the CREATE INDEX statement of the index.
+     */
+    async getIndexes(tableName, replica = true) {
+        return await this.decorator(async (tableName, client) => {
+            const sql = `
+                SELECT indexname AS name, indexdef AS definition
+                FROM pg_indexes
+                WHERE schemaname = $1
+                AND tablename = $2
+                ORDER BY indexname;
+            `;
+
+            const { rows } = await this.execute(client, sql, [this.schemaName, tableName]);
+
+            return rows;
+        }, { replica })(tableName);
     }
 
     /**
      * Retrieves the schema information for a given table.
      * @param {string} tableName The name of the table.
+     * @param {boolean} [replica=true] Whether it can be read from a read replica.
      * @returns {Promise<Array<object>>} A promise that resolves to an array of objects,
      * each representing a column in the table. Each object contains `column_name`,
-     * `column_default`, `is_nullable`, and `data_type`.
+     * `column_default`, `is_nullable`, `data_type`, `udt_name`, `character_maximum_length`,
+     * `numeric_precision` and `numeric_scale`.
      */
-    async getSchemaData(tableName) {
+    async getSchemaData(tableName, replica = true) {
         return await this.decorator(async (tableName, client) => {
             const query = `
-                SELECT column_name, column_default, is_nullable, data_type
+                SELECT column_name, column_default, is_nullable, data_type, udt_name,
+                character_maximum_length, numeric_precision, numeric_scale
                 FROM information_schema.columns
                 WHERE table_schema=$1
-                AND table_name=$2;
+                AND table_name=$2
+                ORDER BY ordinal_position;
             `;
 
-            const { rows } = await client.query(query, [this.schemaName, tableName]);
+            const { rows } = await this.execute(client, query, [this.schemaName, tableName]);
 
             return rows;
-        })(tableName);
+        }, { replica })(tableName);
     }
 
     /**
      * Checks if a table with the given name exists in the database.
      * @param {string} tableName The name of the table to check.
+     * @param {boolean} [replica=true] Whether it can be read from a read replica.
      * @returns {Promise<boolean>} A promise that resolves to true if the table exists, false otherwise.
      */
-    async exists(tableName) {
+    async exists(tableName, replica = true) {
         return await this.decorator(async (tableName, client) => {
             const sql = `
                 SELECT EXISTS (
@@ -131,27 +763,63 @@ class Model {
                 );
             `;
 
-            const { rows } = await client.query(sql, [this.schemaName, tableName]);
+            const { rows } = await this.execute(client, sql, [this.schemaName, tableName]);
             return rows[0].exists;
-        })(tableName);
+        }, { replica })(tableName);
+    }
+
+    /**
+     * Compares a declared schema against the live database and returns the operations
+     * that bring the database in line with it: create table, rename, add, modify and drop column.
+     * Tables that aren't declared are left alone.
+     * @param {object} declaredSchema The declared tables. Keys are table names and values map column names
+     * to the same column data `TableQueryBuilder.add` accepts, e.g.
+     * `{ users: { id: { type: "pk" }, email: { type: "string", length: 255, nullable: false } } }`.
+     * A column can set `renamedFrom` to the name of the live column it replaces.
+     * @param {object} [options] The options of the diff.
+     * @param {string} [options.as="operations"] What to return: "operations", "sql" or "migration",
+     * the source of a migration file for `migrate.make`.
+     * @returns {Promise<Array<object>|string>} The ordered operations, or their sql or migration.
+     * @throws {Error} If a table, column or column type isn't valid.
+     */
+    async diffSchema(declaredSchema, { as = "operations" } = {}) {
+        const renderers = { operations: (operations) => operations, sql: renderSql, migration: renderMigration };
+
+        if (!renderers[as])
+            throw new Error(`Can't render the schema diff as ${as}. Use operations, sql or migration`);
+
+        return renderers[as](await diffSchema(this, declaredSchema));
     }
 
     /**
      * Creates a new table in the database.
      * @param {string} tableName The name of the table to create.
-     * @throws {Error} If the table already exists.
+     * @param {function(TableBuilder): void} [fn] A callback that defines the columns of the table,
+     * e.g. `(t) => { t.pk("id"); t.string("email", 255).notNull().unique(); }`.
+     * It receives the builder both as `this` and as its argument.
+     * @param {object} [options] The options of the table.
+     * @param {boolean} [options.ifNotExists=false] Don't throw if the table already exists.
+     * @throws {Error} If the table already exists and `ifNotExists` isn't set.
      * @throws {Error} If table name isn't valid.
      */
-    async createTable(tableName) {
+    async createTable(tableName, fn, options = {}) {
+        if (fn && !(fn instanceof Function)) {
+            options = fn;
+            fn = undefined;
+        }
+
+        const { ifNotExists = false } = options;
+
         await this.decorator(async (tableName, client) => {
-            if (await this.exists(tableName))
+            if (!ifNotExists && (await this.exists(tableName, false)))
                 throw new Error(`The "${tableName}" table already exists`);
 
             validateSQLName(tableName);
 
-            const sql = format(`CREATE TABLE %I ()`, tableName);
+            const table = new TableBuilder(tableName);
+            fn?.call(table, table);
 
-            await client.query(sql);
+            await this.execute(client, table.toSql(ifNotExists));
         })(tableName);
     }
 
@@ -161,14 +829,14 @@ class Model {
      */
     async deleteTable(tableName) {
         await this.decorator(async (tableName, client) => {
-            if (!(await this.exists(tableName)))
+            if (!(await this.exists(tableName, false)))
                 throw new Error(`The "${tableName}" table doesn't exist`);
 
             validateSQLName(tableName);
 
             const sql = format(`DROP TABLE %I`, tableName);
 
-            await client.query(sql);
+            await this.execute(client, sql);
         })(tableName);
     }
 
@@ -184,4 +852,132 @@ class Model {
     }
 }
 
-export { Model }  
\ No newline at end of file
+class Transaction {
+    /**
+     * @param {Model} model The model that started the transaction.
+     * @param {object} client The pooled client the transaction is pinned to.
+     * @param {number} [depth=0] How deep the transaction is nested. 0 is the outermost one.
+     */
+    constructor(model, client, depth = 0) {
+        this.model = model;
+        this.client = client;
+        this.schemaName = model.schemaName;
+        this.hooks = model.hooks;
+        this.tables = model.tables;
+        this.depth = depth;
+        this.savepoints = 0;
+        this.completed = false;
+    }
+
+    /**
+     * Same as `Model.decorator`, but passes the transaction's client instead of
+     * checking out a new one, and doesn't release it afterwards.
+     * Reads run on the transaction's client as well, so they never go to a read replica.
+     * @param {function} fn The asynchronous method to be decorated.
+     * @returns {function} An asynchronous function that executes the method on the transaction's client.
+     * @throws {Error} If the transaction has already been committed or rolled back.
+     */
+    decorator(fn) {
+        return async (...args) => {
+            if (this.completed)
+                throw new Error("The transaction has already been committed or rolled back");
+
+            try {
+                return await fn(...args, this.client);
+            } catch (error) {
+                throw toDatabaseError(error);
+            }
+        };
+    }
+
+    /**
+     * Same as `Model.runQuery`. The model that started the transaction emits the events.
+     * @param {object} client The client to run the query on.
+     * @param {{ text: string, values: Array<any> }} query The query with its "$n" placeholders and their values.
+     * @param {string} [table] The table the query is about.
+     * @returns {Promise<object>} The result of the query.
+     */
+    async runQuery(client, query, table) {
+        return await this.model.runQuery(client, query, table);
+    }
+
+    /**
+     * Same as `Model.operation`.
+     * @param {function(): Promise<any>} fn The operation.
+     * @returns {Promise<any>} Whatever the operation returned.
+     */
+    async operation(fn) {
+        return await this.model.operation(fn);
+    }
+
+    /**
+     * Same as `Model.execute`.
+     * @param {object} client The client to run the query on.
+     * @param {...any} args The arguments of `client.query`.
+     * @returns {Promise<object>} The result of the query.
+     */
+    async execute(client, ...args) {
+        return await this.model.execute(client, ...args);
+    }
+
+    /**
+     * Sets the table to be used for the query. The query runs inside the transaction.
+     * @param {string} tableName The name of the table.
+     * @returns {TableQueryBuilder} A TableQueryBuilder bound to the transaction's client.
+     */
+    table(tableName) {
+        validateSQLName(tableName);
+
+        return new TableQueryBuilder(this, tableName);
+    }
+
+    /**
+     * Runs a callback inside a nested transaction backed by a savepoint.
+     * If the callback throws, only the work done inside it is rolled back
+     * and the error is rethrown to the outer transaction.
+     * @param {function(Transaction): Promise<any>} fn The callback that receives the nested transaction handle.
+     * @returns {Promise<any>} A promise that resolves to whatever the callback returned.
+     * @throws {Error} If the transaction has already been committed or rolled back.
+     */
+    async transaction(fn) {
+        if (this.completed)
+            throw new Error("The transaction has already been committed or rolled back");
+
+        const savepoint = `sp_${this.depth + 1}_${++this.savepoints}`;
+        const trx = new Transaction(this.model, this.client, this.depth + 1);
+
+        try {
+            await this.execute(this.client, format(`SAVEPOINT %I`, savepoint));
+            const result = await fn(trx);
+            await this.execute(this.client, format(`RELEASE SAVEPOINT %I`, savepoint));
+
+            return result;
+        } catch (error) {
+            try {
+                await this.execute(this.client, format(`ROLLBACK TO SAVEPOINT %I`, savepoint));
+            } catch {
+                // The outer transaction fails to roll back as well and gives up the client
+            }
+
+            throw toDatabaseError(error);
+        } finally {
+            trx.completed = true;
+        }
+    }
+}
+
+// These methods only rely on `decorator` and `schemaName`,
+// so a transaction can share them and run them on its own client.
+for (const method of [
+    "getPrimaryKeys",
+    "getConstraints",
+    "getIndexes",
+    "getSchemaData",
+    "exists",
+    "createTable",
+    "deleteTable",
+]) {
+    Transaction.prototype[method] = Model.prototype[method];
+}
+
+export { Model, Transaction }
\ No newline at end of file
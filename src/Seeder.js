@@ -0,0 +1,112 @@
+import fs from "node:fs";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { parse } from "csv-parse/sync";
+
+// Keeps every insert well under the 65535 placeholders PostgreSQL allows per query
+const CHUNK_SIZE = 1000;
+
+class Seeder {
+    /**
+     * @param {Model|CSVDatabase} database The database to seed. Seeds against a Model
+     * run inside a transaction, CSV seeds run against the database itself.
+     * @param {string} [directory="./seeds"] The folder with the seed files.
+     */
+    constructor(database, directory = "./seeds") {
+        this.database = database;
+        this.directory = directory;
+    }
+
+    /**
+     * Runs the callback inside a transaction if the database supports them.
+     * @param {function(Model|Transaction|CSVDatabase): Promise<any>} fn The callback that receives the database.
+     * @returns {Promise<any>} Whatever the callback returned.
+     */
+    async #__within(fn) {
+        if (this.database.transaction instanceof Function) {
+            return await this.database.transaction(fn);
+        }
+
+        return await fn(this.database);
+    }
+
+    /**
+     * Runs the seed files of the directory in alphabetical order, each inside its own transaction.
+     * A seed file exports `seed(database)`, e.g.
+     * `export const seed = async (model) => { await model.table("users").insert([...]); };`
+     * @param {object} [options] The options of the run.
+     * @param {Array<string>} [options.only] The names of the seed files to run, e.g. `["01_users.js"]`.
+     * @returns {Promise<Array<string>>} The names of the seed files that ran.
+     * @throws {Error} If a seed file doesn't export a seed function. The seeds before it stay applied.
+     */
+    async run({ only } = {}) {
+        if (!fs.existsSync(this.directory)) return [];
+
+        const files = (await fs.promises.readdir(this.directory))
+            .filter((file) => /\.m?js$/.test(file))
+            .filter((file) => !only || only.includes(file))
+            .sort();
+
+        for (const file of files) {
+            const url = pathToFileURL(path.resolve(this.directory, file)).href;
+            const { seed } = await import(url);
+
+            if (!(seed instanceof Function))
+                throw new Error(`The "${file}" seed must export a seed function`);
+
+            await this.#__within(seed);
+        }
+
+        return files;
+    }
+
+    /**
+     * Fills tables with rows. A CSVDatabase gets its tables written from scratch,
+     * with the header made of every key of the rows. A Model inserts the rows in a single transaction.
+     * @param {Object<string, Array<object>>} fixtures Keys are table names and values are their rows.
+     * @returns {Promise<void>}
+     */
+    async fixtures(fixtures) {
+        await this.#__within(async (database) => {
+            for (const [tableName, rows] of Object.entries(fixtures)) {
+                if (database.writeTable instanceof Function) {
+                    await database.writeTable(tableName, rows);
+                    continue;
+                }
+
+                for (let i = 0; i < rows.length; i += CHUNK_SIZE) {
+                    await database.table(tableName).insert(rows.slice(i, i + CHUNK_SIZE));
+                }
+            }
+        });
+    }
+
+    /**
+     * Loads a CSV file, e.g. one from the DB folder, into a table. Empty values are inserted as nulls.
+     * @param {string} file The path to the CSV file.
+     * @param {string} tableName The name of the table to insert into.
+     * @param {object} [options] The options of the load.
+     * @param {Object<string, string>} [options.columns] Renames CSV headers to table columns,
+     * e.g. `{ "First Name": "first_name" }`. Other headers are used as they are.
+     * @returns {Promise<number>} The number of loaded rows.
+     */
+    async loadCsv(file, tableName, { columns = {} } = {}) {
+        const content = await fs.promises.readFile(file, "utf-8");
+        const records = parse(content, { columns: true, trim: true, skip_empty_lines: true });
+
+        const rows = records.map((record) =>
+            Object.fromEntries(
+                Object.entries(record).map(([header, value]) => [
+                    columns[header] ?? header,
+                    value === "" ? null : value,
+                ])
+            )
+        );
+
+        await this.fixtures({ [tableName]: rows });
+
+        return rows.length;
+    }
+}
+
+export { Seeder };
@@ -0,0 +1,378 @@
+import format from "pg-format";
+import { validateSQLName } from "./validation.js";
+import { Expression } from "./expressions.js";
+import { columnType, primaryKeyTypes } from "./columnTypes.js";
+import { PrimaryKey, Unique, Check, ForeignKey } from "./constraints.js";
+
+class ColumnBuilder {
+    /**
+     * @param {object} columnData The same column configuration `TableQueryBuilder.add` accepts.
+     */
+    constructor(columnData) {
+        this.columnData = { ...columnData };
+    }
+
+    /**
+     * Makes the column NOT NULL.
+     * @returns {ColumnBuilder} The current instance of the ColumnBuilder.
+     */
+    notNull() {
+        this.columnData.nullable = false;
+        return this;
+    }
+
+    /**
+     * Allows the column to accept NULL values. Columns are nullable by default.
+     * @returns {ColumnBuilder} The current instance of the ColumnBuilder.
+     */
+    nullable() {
+        this.columnData.nullable = true;
+        return this;
+    }
+
+    /**
+     * Adds a UNIQUE constraint to the column.
+     * @returns {ColumnBuilder} The current instance of the ColumnBuilder.
+     */
+    unique() {
+        this.columnData.unique = true;
+        return this;
+    }
+
+    /**
+     * Sets the default value of the column.
+     * @param {*} value The default value. Pass a `raw()` expression for sql like `CURRENT_TIMESTAMP`.
+     * @returns {ColumnBuilder} The current instance of the ColumnBuilder.
+     */
+    defaultTo(value) {
+        this.columnData.defaultValue = value;
+        return this;
+    }
+
+    /**
+     * Returns the definition of the column for a CREATE TABLE statement.
+     * @returns {string} The column definition.
+     * @throws {Error} If a default value is specified for a serial primary key.
+     */
+    toSql() {
+        const { name, type, defaultValue, nullable, unique } = this.columnData;
+
+        if (primaryKeyTypes.includes(type.toLowerCase()) && defaultValue !== undefined)
+            throw new Error(`Can't add a serial primary key with a default value.`);
+
+        const clauses = [format(`%I %s`, name, columnType(this.columnData))];
+
+        if (nullable === false) clauses.push("NOT NULL");
+        if (unique) clauses.push("UNIQUE");
+
+        if (defaultValue instanceof Expression) {
+            clauses.push(`DEFAULT ${defaultValue.sql}`);
+        } else if (defaultValue !== undefined) {
+            clauses.push(format(`DEFAULT %L`, defaultValue));
+        }
+
+        return clauses.join(" ");
+    }
+}
+
+class TableBuilder {
+    /**
+     * @param {string} tableName The name of the table.
+     */
+    constructor(tableName) {
+        this.tableName = tableName;
+        this.columns = [];
+        this.constraints = [];
+    }
+
+    /**
+     * Adds a column to the table.
+     * @param {object} columnData The same column configuration `TableQueryBuilder.add` accepts.
+     * @returns {ColumnBuilder} The builder of the new column.
+     * @throws {Error} If the column name isn't valid or is already used.
+     */
+    column(columnData) {
+        validateSQLName(columnData.name);
+
+        if (this.columns.some((column) => column.columnData.name === columnData.name))
+            throw new Error(`There is already column with name ${columnData.name}.`);
+
+        const column = new ColumnBuilder(columnData);
+        this.columns.push(column);
+
+        return column;
+    }
+
+    /**
+     * Adds a serial primary key column.
+     * @param {string} [name="id"] The name of the column.
+     * @returns {ColumnBuilder} The builder of the new column.
+     */
+    pk(name = "id") {
+        return this.column({ name, type: "pk" });
+    }
+
+    /**
+     * Adds a BIGSERIAL primary key column.
+     * @param {string} [name="id"] The name of the column.
+     * @returns {ColumnBuilder} The builder of the new column.
+     */
+    bigserial(name = "id") {
+        return this.column({ name, type: "bigserial" });
+    }
+
+    /**
+     * Adds an identity primary key column.
+     * @param {string} [name="id"] The name of the column.
+     * @param {boolean} [always=false] Whether the column is GENERATED ALWAYS instead of BY DEFAULT.
+     * @returns {ColumnBuilder} The builder of the new column.
+     */
+    identity(name = "id", always = false) {
+        return this.column({ name, type: "identity", always });
+    }
+
+    /**
+     * Adds a VARCHAR column.
+     * @param {string} name The name of the column.
+     * @param {number} length The maximum length of the column.
+     * @returns {ColumnBuilder} The builder of the new column.
+     */
+    string(name, length) {
+        return this.column({ name, type: "string", length });
+    }
+
+    /**
+     * Adds a DECIMAL column.
+     * @param {string} name The name of the column.
+     * @param {number} precision The total number of digits.
+     * @param {number} scale The number of digits to the right of the decimal point.
+     * @returns {ColumnBuilder} The builder of the new column.
+     */
+    float(name, precision, scale) {
+        return this.column({ name, type: "float", precision, scale });
+    }
+
+    /**
+     * Adds an INT column.
+     * @param {string} name The name of the column.
+     * @returns {ColumnBuilder} The builder of the new column.
+     */
+    int(name) {
+        return this.column({ name, type: "int" });
+    }
+
+    /**
+     * Adds a BIGINT column.
+     * @param {string} name The name of the column.
+     * @returns {ColumnBuilder} The builder of the new column.
+     */
+    bigint(name) {
+        return this.column({ name, type: "bigint" });
+    }
+
+    /**
+     * Adds a SMALLINT column.
+     * @param {string} name The name of the column.
+     * @returns {ColumnBuilder} The builder of the new column.
+     */
+    smallint(name) {
+        return this.column({ name, type: "smallint" });
+    }
+
+    /**
+     * Adds a NUMERIC column. Precision and scale are optional.
+     * @param {string} name The name of the column.
+     * @param {number} [precision] The total number of digits.
+     * @param {number} [scale] The number of digits to the right of the decimal point.
+     * @returns {ColumnBuilder} The builder of the new column.
+     */
+    numeric(name, precision, scale) {
+        return this.column({ name, type: "numeric", precision, scale });
+    }
+
+    /**
+     * Adds a TEXT column.
+     * @param {string} name The name of the column.
+     * @returns {ColumnBuilder} The builder of the new column.
+     */
+    text(name) {
+        return this.column({ name, type: "text" });
+    }
+
+    /**
+     * Adds a BOOLEAN column.
+     * @param {string} name The name of the column.
+     * @returns {ColumnBuilder} The builder of the new column.
+     */
+    boolean(name) {
+        return this.column({ name, type: "boolean" });
+    }
+
+    /**
+     * Adds a UUID column.
+     * @param {string} name The name of the column.
+     * @returns {ColumnBuilder} The builder of the new column.
+     */
+    uuid(name) {
+        return this.column({ name, type: "uuid" });
+    }
+
+    /**
+     * Adds a JSON column.
+     * @param {string} name The name of the column.
+     * @returns {ColumnBuilder} The builder of the new column.
+     */
+    json(name) {
+        return this.column({ name, type: "json" });
+    }
+
+    /**
+     * Adds a JSONB column.
+     * @param {string} name The name of the column.
+     * @returns {ColumnBuilder} The builder of the new column.
+     */
+    jsonb(name) {
+        return this.column({ name, type: "jsonb" });
+    }
+
+    /**
+     * Adds a BYTEA column.
+     * @param {string} name The name of the column.
+     * @returns {ColumnBuilder} The builder of the new column.
+     */
+    bytea(name) {
+        return this.column({ name, type: "bytea" });
+    }
+
+    /**
+     * Adds an INET column.
+     * @param {string} name The name of the column.
+     * @returns {ColumnBuilder} The builder of the new column.
+     */
+    inet(name) {
+        return this.column({ name, type: "inet" });
+    }
+
+    /**
+     * Adds a column of an existing enum type.
+     * @param {string} name The name of the column.
+     * @param {string} enumName The name of the enum type.
+     * @returns {ColumnBuilder} The builder of the new column.
+     */
+    enum(name, enumName) {
+        return this.column({ name, type: "enum", enumName });
+    }
+
+    /**
+     * Adds an array column.
+     * @param {string} name The name of the column.
+     * @param {string} type The type of the elements, e.g. "int" or "string".
+     * @param {object} [options] The options of the element type, e.g. `{ length: 64 }`.
+     * @returns {ColumnBuilder} The builder of the new column.
+     */
+    array(name, type, options = {}) {
+        return this.column({ ...options, name, type: `${type}[]` });
+    }
+
+    /**
+     * Adds a DATE column.
+     * @param {string} name The name of the column.
+     * @returns {ColumnBuilder} The builder of the new column.
+     */
+    date(name) {
+        return this.column({ name, type: "date" });
+    }
+
+    /**
+     * Adds a TIME column.
+     * @param {string} name The name of the column.
+     * @returns {ColumnBuilder} The builder of the new column.
+     */
+    time(name) {
+        return this.column({ name, type: "time" });
+    }
+
+    /**
+     * Adds a TIMESTAMP column.
+     * @param {string} name The name of the column.
+     * @returns {ColumnBuilder} The builder of the new column.
+     */
+    timestamp(name) {
+        return this.column({ name, type: "timestamp" });
+    }
+
+    /**
+     * Adds a TIMESTAMPTZ column.
+     * @param {string} name The name of the column.
+     * @returns {ColumnBuilder} The builder of the new column.
+     */
+    timestamptz(name) {
+        return this.column({ name, type: "timestamptz" });
+    }
+
+    /**
+     * Adds `created_at` and `updated_at` columns that default to the current timestamp.
+     */
+    timestamps() {
+        for (const name of ["created_at", "updated_at"]) {
+            this.timestamp(name).notNull().defaultTo(new Expression("CURRENT_TIMESTAMP"));
+        }
+    }
+
+    /**
+     * Adds a foreign key constraint to the table.
+     * @param {string|Array<string>} columns The referencing columns.
+     * @returns {ForeignKey} The foreign key, configured with `references`, `onDelete` and `onUpdate`.
+     */
+    foreign(columns) {
+        return this.#__constraint(new ForeignKey(this.tableName, columns));
+    }
+
+    /**
+     * Adds a unique constraint over one or more columns to the table.
+     * @param {string|Array<string>} columns The columns whose combined values have to be unique.
+     * @returns {Unique} The unique constraint.
+     */
+    unique(columns) {
+        return this.#__constraint(new Unique(this.tableName, columns));
+    }
+
+    /**
+     * Adds a check constraint to the table.
+     * @param {string} expression The boolean sql expression, e.g. `"price > 0"`. It isn't escaped.
+     * @returns {Check} The check constraint.
+     */
+    check(expression) {
+        return this.#__constraint(new Check(this.tableName, expression));
+    }
+
+    /**
+     * Adds a primary key, which can span several columns, to the table.
+     * @param {string|Array<string>} columns The columns of the primary key.
+     * @returns {PrimaryKey} The primary key.
+     */
+    primary(columns) {
+        return this.#__constraint(new PrimaryKey(this.tableName, columns));
+    }
+
+    #__constraint(constraint) {
+        this.constraints.push(constraint);
+        return constraint;
+    }
+
+    /**
+     * Returns the CREATE TABLE statement for the table.
+     * @param {boolean} [ifNotExists=false] Whether to add IF NOT EXISTS to the statement.
+     * @returns {string} The sql query.
+     */
+    toSql(ifNotExists = false) {
+        return format(
+            `CREATE TABLE %s%I (%s)`,
+            ifNotExists ? "IF NOT EXISTS " : "",
+            this.tableName,
+            [...this.columns, ...this.constraints].map((item) => item.toSql()).join(", ")
+        );
+    }
+}
+
+export { TableBuilder, ColumnBuilder };
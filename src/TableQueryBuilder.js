@@ -1,6 +1,15 @@
 import format from "pg-format";
-import { QueryBuilder } from "./QueryBuilder.js";
+import { randomUUID } from "node:crypto";
+import { Readable } from "node:stream";
+import { QueryBuilder } from "./queryBuilder.js";
 import { validateSQLName } from "./validation.js";
+import { Expression } from "./expressions.js";
+import { columnType, isConvertible, primaryKeyTypes } from "./columnTypes.js";
+import { PrimaryKey, Unique, Check, ForeignKey } from "./constraints.js";
+import { ValidationError } from "./errors.js";
+
+// Stands for a value the database fills with the default of its column
+const DEFAULT = Symbol("DEFAULT");
 
 class TableQueryBuilder extends QueryBuilder {
     /**
@@ -11,181 +20,488 @@ class TableQueryBuilder extends QueryBuilder {
         super();
         this.model = model;
         this.tableName = tableName;
+        // The Entity class the rows are turned into, if the builder came from one
+        this.entity = null;
+        // The relations of the entity to eager load
+        this._with = [];
+        // Whether soft deleted rows are left out ("without"), included ("with") or the only ones ("only")
+        this._trashed = "without";
+        // Whether select queries have to run on the primary instead of a read replica
+        this._primary = false;
+        this._where = [];
+        this._having = [];
+        this._joins = [];
+        // The list of ON conditions that the `on` methods add to
+        this._on = null;
         this.sql = {
             delete: "",
             select: "",
             join: "",
-            on: "",
             where: "",
+            group: "",
+            having: "",
             order: "",
-            desc: "",
             limit: "",
+            offset: "",
             returning: "",
         };
+        // Values for the "?" placeholders of each sql action, in the order they appear
+        this.bindings = Object.fromEntries(
+            Object.keys(this.sql).map((action) => [action, []])
+        );
     }
 
     /**
-     * Clears the sql actions and returns a promise of a decorator call with a callback.
-     * @param {string} sql The SQL string that have been created.
-     * @returns {Promise<any>} The result of a query.
+     * Replaces every "?" placeholder in a sql string. Placeholders inside quoted
+     * identifiers and literals are left alone, and "\\?" is turned into a literal "?".
+     * @param {string} sql The SQL string with "?" placeholders.
+     * @param {function(number): string} replacer Receives the index of the placeholder and returns its replacement.
+     * @returns {string} The SQL string with the placeholders replaced.
+     */
+    #__placeholders(sql, replacer) {
+        let index = 0;
+
+        return sql.replace(/"(?:[^"]|"")*"|'(?:[^']|'')*'|\\\?|\?/g, (match) => {
+            if (match === "?") return replacer(index++);
+            if (match === "\\?") return "?";
+
+            return match;
+        });
+    }
+
+    /**
+     * Joins the sql actions and their bindings into one statement.
+     * @param {Array<string>} [actions] The sql actions to use. Defaults to all of them.
+     * @returns {Array<any>} An array with the sql string that uses "?" placeholders and its bindings.
+     */
+    #__compile(actions = Object.keys(this.sql)) {
+        actions = actions.filter((action) => this.sql[action]);
+
+        const sql = actions.map((action) => this.sql[action]).join(" ").trim() + ";";
+        const bindings = actions.flatMap((action) => this.bindings[action]);
+
+        return [sql, bindings];
+    }
+
+    /**
+     * Clears the sql actions and everything they were built from, so the builder can be reused.
      */
-    async #__execute(sql) {
+    #__reset() {
         for (const action in this.sql) {
             this.sql[action] = "";
+            this.bindings[action] = [];
+        }
+        this._where = [];
+        this._having = [];
+        this._joins = [];
+        this._on = null;
+        this._order = [];
+        this._with = [];
+        this._trashed = "without";
+        this._primary = false;
+    }
+
+    /**
+     * Returns the timestamps and soft delete settings of the table, see `Model.configureTable`.
+     * @returns {{ timestamps: object|null, softDeletes: string|null }} The settings.
+     */
+    #__settings() {
+        return this.model.tables?.[this.tableName] ?? { timestamps: null, softDeletes: null };
+    }
+
+    /**
+     * Adds the soft delete condition to the WHERE clause, if the table uses soft deletes.
+     * The existing conditions are grouped, so an OR in them can't escape it.
+     */
+    #__scope() {
+        const { softDeletes } = this.#__settings();
+
+        if (!softDeletes || this._trashed === "with") return;
+
+        if (this._where.length) {
+            this._where = [{ bool: "AND", not: false, group: this._where }];
         }
 
-        return await this.model.decorator(async (sql, client) => {
-            return (await client.query(sql)).rows;
-        })(sql);
+        this.#__where("AND", false, [
+            format(
+                `%s IS %sNULL`,
+                this.#__identifier(`${this.tableName}.${softDeletes}`),
+                this._trashed === "only" ? "NOT " : ""
+            ),
+            [],
+        ]);
+
+        // The condition is in place, so it isn't added again
+        this._trashed = "with";
+    }
+
+    /**
+     * Fills the timestamps a row doesn't have with the current time.
+     * @param {object} values The values of the row.
+     * @param {Array<string>} columns The timestamp columns.
+     * @returns {object} The values with the timestamps.
+     */
+    #__stamp(values, columns) {
+        const now = new Date();
+
+        return {
+            ...values,
+            ...Object.fromEntries(
+                columns.filter((column) => values[column] === undefined).map((column) => [column, now])
+            ),
+        };
+    }
+
+    /**
+     * Clears the sql actions and returns a promise of a decorator call with a callback.
+     * The "?" placeholders are sent to the server as $1..$n parameters alongside their values.
+     * Statements without values, like DDL, keep their question marks, so operators such as
+     * the "?" of jsonb work in them.
+     * @param {string} sql The SQL string that have been created.
+     * @param {Array<any>} [bindings=[]] The values for the "?" placeholders in the SQL string.
+     * @param {Model|Transaction} [model=this.model] The model or transaction to run the query on.
+     * @param {object} [options] The options of the decorator, e.g. `{ replica: true }`.
+     * @returns {Promise<any>} The result of a query.
+     */
+    async #__execute(sql, bindings = [], model = this.model, options = {}) {
+        this.#__reset();
+
+        const text = this.#__placeholders(sql, (index) => (bindings.length ? `$${index + 1}` : "?"));
+
+        return await model.decorator(async (text, values, client) => {
+            return (await model.runQuery(client, { text, values }, this.tableName)).rows;
+        }, options)(text, bindings);
+    }
+
+    /**
+     * Same as `#__execute`, but the query can run on a read replica unless `onPrimary` was called.
+     * @param {string} sql The SQL string that have been created.
+     * @param {Array<any>} [bindings=[]] The values for the "?" placeholders in the SQL string.
+     * @param {boolean} [primary=this._primary] Whether the query has to run on the primary.
+     * @returns {Promise<any>} The result of a query.
+     */
+    async #__read(sql, bindings = [], primary = this._primary) {
+        return await this.#__execute(sql, bindings, this.model, { replica: !primary });
+    }
+
+    /**
+     * Runs the select queries of the builder on the primary instead of a read replica,
+     * e.g. to read rows right after writing them.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     */
+    onPrimary() {
+        this._primary = true;
+        return this;
     }
 
     /**
      * Returns a sql query that is a product of every previos TableQueryBuilder method calls.
+     * The bound values are inlined as literals, so it's meant for debugging only.
      * @returns {string} The sql query.
      */
     toSql() {
-        return Object.values(this.sql)
-            .filter((value) => value)
-            .join(" ")
-            .trim() + ";";
+        const [sql, bindings] = this.#__compile();
+
+        return this.#__placeholders(sql, (index) => format.literal(bindings[index]));
+    }
+
+    /**
+     * Returns a sql query that is a product of every previos TableQueryBuilder method calls,
+     * with $1..$n placeholders instead of the values.
+     * @returns {{ sql: string, bindings: Array<any> }} The sql query and the values for its placeholders.
+     */
+    toNative() {
+        const [sql, bindings] = this.#__compile();
+
+        return {
+            sql: this.#__placeholders(sql, (index) => `$${index + 1}`),
+            bindings,
+        };
     }
 
     /**
      * Specifies the columns to be selected.
-     * @param {...string} columns The columns to select. If no columns are provided, all columns are selected.
+     * @param {...(string|Expression)} columns The columns to select. Can also be expressions
+     * such as `count("id").as("n")`. If no columns are provided, all columns are selected.
      * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
      */
     select(...columns) {
         this._select = columns?.length
             ? columns.filter((col) => col !== "*")
             : ["*"];
-        this.sql.select = format(`SELECT %s FROM %I`, this._select, this.tableName);
+
+        const bindings = [];
+        const selected = this._select.map((col) => {
+            if (!(col instanceof Expression)) return col;
+
+            bindings.push(...col.bindings);
+
+            return col.alias ? format(`%s AS %I`, col.sql, col.alias) : col.sql;
+        });
+
+        this.sql.select = format(`SELECT %s FROM %I`, selected, this.tableName);
+        this.bindings.select = bindings;
         return this;
     }
 
+    /**
+     * Formats a table name that may have an alias ("users as u").
+     * @param {string} table The name of the table.
+     * @returns {string} The escaped table name with its alias.
+     * @throws {Error} If the table name isn't a string.
+     */
+    #__table(table) {
+        if (typeof table !== "string")
+            throw new Error("Join table name must be a string");
+
+        const [name, alias] = table.trim().split(/\s+as\s+/i);
+
+        return alias
+            ? format(`%s AS %I`, this.#__identifier(name), alias.trim())
+            : this.#__identifier(name);
+    }
+
+    /**
+     * Rebuilds the JOIN clauses from the list of joins.
+     */
+    #__setJoin() {
+        const bindings = [];
+
+        this.sql.join = this._joins
+            .map(({ type, table, on }) => {
+                if (!on.length) return `${type} ${table}`;
+
+                const [sql, values] = this.#__conditions(on);
+                bindings.push(...values);
+
+                return `${type} ${table} ON ${sql}`;
+            })
+            .join(" ");
+
+        this.bindings.join = bindings;
+    }
+
     /**
      * Contains logic that is shared between all join methods.
+     * @param {string} type The type of the join, e.g. "INNER JOIN".
+     * @param {string} table Table to perform the join with. Can have an alias ("users as u").
      * @param {any[] | function[]} args On what match or matches to perform the join.
-     * Can accept function as a parameter. Note that the callback must not be an arrow function
+     * Can accept function as a parameter. It receives an object with `on`, `onOr`, `onAnd`
+     * and `onVal` methods both as `this` and as its argument.
      * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
-     * @throws {Error} If sql join query is empty.
      */
-    #__join(...args) {
-        if (!this.sql.join) {
-            throw new Error("Sql join query can not be empty");
-        }
-
-        if (args[0] instanceof Function && args.length === 1) {
-            const self = this;
+    #__join(type, table, ...args) {
+        const join = { type, table: this.#__table(table), on: [] };
 
-            const joinConditionContext = {
-                sql: self.sql,
-                on: self.on,
-                onOr: self.onOr,
-                onAnd: self.onAnd,
-            };
+        this._joins.push(join);
+        this._on = join.on;
 
-            args[0].apply(joinConditionContext);
+        if (args[0] instanceof Function && args.length === 1) {
+            this.#__onCallback(args[0]);
         } else if (args.length) {
             this.on(...args);
         }
+
+        this.#__setJoin();
+
+        return this;
+    }
+
+    /**
+     * Calls a callback that builds ON conditions with a restricted context.
+     * @param {function} fn The callback.
+     */
+    #__onCallback(fn) {
+        const context = {};
+
+        for (const method of ["on", "onOr", "onAnd", "onVal"]) {
+            context[method] = (...args) => {
+                this[method](...args);
+                return context;
+            };
+        }
+
+        fn.call(context, context);
     }
 
     /**
      * Adds an INNER JOIN clause to the query.
      * @param {string} table Table to perform inner join with.
      * @param {any[] | function[]} args On what match or matches to perform the join.
-     * Can accept function as a parameter. Note that the callback must not be an arrow function
+     * Can accept function as a parameter.
      * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
      */
     innerJoin(table, ...args) {
-        this.sql.join = format(`INNER JOIN %I`, table);
-        this.#__join(...args);
-
-        return this;
+        return this.#__join("INNER JOIN", table, ...args);
     }
 
     /**
      * Adds an LEFT JOIN clause to the query.
      * @param {string} table Table to perform left join with.
      * @param {any[] | function[]} args On what match or matches to perform the join.
-     * Can accept function as a parameter. Note that the callback must not be an arrow function
+     * Can accept function as a parameter.
      * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
      */
     leftJoin(table, ...args) {
-        this.sql.join = format(`LEFT JOIN %I`, table);
-        this.#__join(...args);
-
-        return this;
+        return this.#__join("LEFT JOIN", table, ...args);
     }
 
     /**
      * Adds an RIGHT JOIN clause to the query.
      * @param {string} table Table to perform right join with.
      * @param {any[] | function[]} args On what match or matches to perform the join.
-     * Can accept function as a parameter. Note that the callback must not be an arrow function
+     * Can accept function as a parameter.
      * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
      */
     rightJoin(table, ...args) {
-        this.sql.join = format(`RIGHT JOIN %I`, table);
-        this.#__join(...args);
+        return this.#__join("RIGHT JOIN", table, ...args);
+    }
+
+    /**
+     * Adds an FULL OUTER JOIN clause to the query.
+     * @param {string} table Table to perform full outer join with.
+     * @param {any[] | function[]} args On what match or matches to perform the join.
+     * Can accept function as a parameter.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     */
+    fullOuterJoin(table, ...args) {
+        return this.#__join("FULL OUTER JOIN", table, ...args);
+    }
+
+    /**
+     * Adds an CROSS JOIN clause to the query. Cross joins don't have an ON clause.
+     * @param {string} table Table to perform cross join with.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     * @throws {Error} If join conditions were provided.
+     */
+    crossJoin(table, ...args) {
+        if (args.length)
+            throw new Error("A cross join can not have join conditions");
+
+        this.#__join("CROSS JOIN", table);
+        this._on = null;
 
         return this;
     }
 
     /**
-     * Creates a condition for the JOIN clause.
-     * @param {...string} args The arguments for the JOIN clause.
+     * Creates a condition for the ON clause of the last join.
+     * Calling it several times joins the conditions with AND.
+     * @param {...any} args The arguments for the ON clause. A single callback groups
+     * conditions in parentheses.
      * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     * @throws {Error} If no join method has been called first.
      * @throws {Error} If no arguments were given.
      */
     on(...args) {
         const operators = ["=", "!=", "<>", ">=", "<=", "<", ">"];
 
-        let [leftTable, leftColumn] = args[0]?.trim()?.split(".") ?? [];
-        let [rightTable, rightColumn] = args[2]?.trim()?.split(".") ?? [];
+        if (!this._on)
+            throw new Error(`You can't call "on" method without first calling a join method`);
 
-        if (operators.includes(args[1]) && args.length === 3) {
-            this.sql.on = format(
-                `ON %I.%I %s %I.%I`,
-                leftTable,
-                leftColumn,
-                args[1],
-                rightTable,
-                rightColumn
-            );
+        let condition;
+
+        if (args[0] instanceof Function && args.length === 1) {
+            const conditions = this._on;
+            const group = [];
+
+            this._on = group;
+            try {
+                this.#__onCallback(args[0]);
+            } finally {
+                this._on = conditions;
+            }
+
+            if (group.length) {
+                conditions.push({ bool: "AND", not: false, group });
+            }
+        } else if (operators.includes(args[1]) && args.length === 3) {
+            condition = [
+                format(
+                    `%s %s %s`,
+                    this.#__identifier(args[0]),
+                    args[1],
+                    this.#__identifier(args[2])
+                ),
+                [],
+            ];
         } else if (Array.isArray(args[1]) && args.length === 2) {
-            this.sql.on = format(`ON %I.%I IN (%L)`, leftTable, leftColumn, args[1]);
+            condition = [
+                format(
+                    `%s IN (%s)`,
+                    this.#__identifier(args[0]),
+                    args[1].map(() => "?").join(", ")
+                ),
+                [...args[1]],
+            ];
         } else if (
             typeof args[0] === "string" &&
             typeof args[1] === "string" &&
             args.length === 2
         ) {
-            [rightTable, rightColumn] = args[1].trim().split(".");
-
-            this.sql.on = format(
-                `ON %I.%I = %I.%I`,
-                leftTable,
-                leftColumn,
-                rightTable,
-                rightColumn
-            );
+            condition = [
+                format(
+                    `%s = %s`,
+                    this.#__identifier(args[0]),
+                    this.#__identifier(args[1])
+                ),
+                [],
+            ];
         } else if (
             typeof args[0] === "string" &&
             typeof args[1] === "number" &&
             args.length === 2
         ) {
-            this.sql.on = format(`ON %I.%I = %s`, leftTable, leftColumn, args[1]);
+            condition = [format(`%s = ?`, this.#__identifier(args[0])), [args[1]]];
         } else if (
             typeof args[0] === "string" &&
             args[1] === null &&
             args.length === 2
         ) {
-            this.sql.on = format(`ON %I.%I IS NULL`, leftTable, leftColumn);
+            condition = [format(`%s IS NULL`, this.#__identifier(args[0])), []];
         } else {
             throw new Error("A join clause must have columns provided");
         }
 
+        if (condition) {
+            const [sql, bindings] = condition;
+            this._on.push({ bool: "AND", not: false, sql, bindings });
+        }
+
+        this.#__setJoin();
+
+        return this;
+    }
+
+    /**
+     * Compares a column with a value in the ON clause of the last join.
+     * Unlike `on`, a string value is treated as a value and not as a column.
+     * @param {string} column The name of the column.
+     * @param {...any} args Either the value, or an operator followed by the value.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     * @throws {Error} If no join method has been called first.
+     * @throws {Error} If the operator isn't supported.
+     */
+    onVal(column, ...args) {
+        const operators = ["=", "!=", "<>", ">=", "<=", "<", ">"];
+
+        if (!this._on)
+            throw new Error(`You can't call "onVal" method without first calling a join method`);
+
+        const [operator, value] = args.length === 2 ? args : ["=", args[0]];
+
+        if (!operators.includes(operator) || typeof column !== "string")
+            throw new Error("Invalid arguments for onVal method");
+
+        this._on.push({
+            bool: "AND",
+            not: false,
+            sql: format(`%s %s ?`, this.#__identifier(column), operator),
+            bindings: [value],
+        });
+
+        this.#__setJoin();
+
         return this;
     }
 
@@ -196,16 +512,14 @@ class TableQueryBuilder extends QueryBuilder {
      * @throws {Error} If the `on` method has not been called first.
      */
     onOr(...args) {
-        if (!this.sql.on)
+        if (!this._on?.length)
             throw new Error(
                 `You can't call "onOr" method without first calling "on" method`
             );
 
-        const onToAdd = this.sql.on + " OR ";
         this.on(...args);
-
-        // slice(3) - we are slicing off the "ON " clause since it's length is 3(with a whitespace)
-        this.sql.on = onToAdd + this.sql.on.slice(3);
+        this._on[this._on.length - 1].bool = "OR";
+        this.#__setJoin();
 
         return this;
     }
@@ -217,204 +531,967 @@ class TableQueryBuilder extends QueryBuilder {
      * @throws {Error} If the `on` method has not been called first.
      */
     onAnd(...args) {
-        if (!this.sql.on)
+        if (!this._on?.length)
             throw new Error(
                 `You can't call "onAnd" method without first calling "on" method`
             );
 
-        const onToAdd = this.sql.on + " AND ";
-        this.on(...args);
+        return this.on(...args);
+    }
 
-        // slice(3) - we are slicing off the "ON " clause since it's length is 3(with a whitespace)
-        this.sql.on = onToAdd + this.sql.on.slice(3);
+    /**
+     * Formats a column name that may be prefixed with a table name ("table.column").
+     * @param {string} column The column name.
+     * @returns {string} The escaped column identifier.
+     */
+    #__identifier(column) {
+        return column
+            .trim()
+            .split(".")
+            .map((part) => (part === "*" ? part : format("%I", part)))
+            .join(".");
+    }
 
-        return this;
+    /**
+     * Formats the left side of a condition, which is either a column or an expression.
+     * @param {string|Expression} operand The column name or the expression.
+     * @returns {Array<any>} An array with the sql of the operand and its bindings.
+     */
+    #__operand(operand) {
+        if (operand instanceof Expression) {
+            return [operand.sql, operand.bindings];
+        }
+
+        return [this.#__identifier(operand), []];
     }
 
     /**
-     * Adds a WHERE clause to the query.
-     * @param {...any} args The arguments for the WHERE clause.
-     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
-     * @throws {Error} If no arguments were provided.
+     * Turns the arguments of the where methods into a single condition.
+     * @param {Array<any>} args The arguments for the condition.
+     * @returns {Array<any>} An array with the sql of the condition and its bindings.
+     * @throws {Error} If the arguments don't form a valid condition.
      */
-    where(...args) {
+    #__condition(args) {
         const operators = ["=", "!=", "<>", ">=", "<=", "<", ">"];
+        const isOperand =
+            typeof args[0] === "string" || args[0] instanceof Expression;
+
+        if (!isOperand) throw new Error("Invalid arguments for where method");
+
+        const [column, bindings] = this.#__operand(args[0]);
+
         if (operators.includes(args[1]) && args.length === 3) {
-            this.sql.where = format(
-                `WHERE %I %s %L`,
-                args[0].trim(),
-                args[1],
-                args[2]
-            );
+            return [format(`%s %s ?`, column, args[1]), [...bindings, args[2]]];
         } else if (Array.isArray(args[1]) && args.length === 2) {
-            this.sql.where = format(`WHERE %I IN (%L)`, args[0].trim(), args[1]);
+            return [
+                format(`%s IN (%s)`, column, args[1].map(() => "?").join(", ")),
+                [...bindings, ...args[1]],
+            ];
         } else if (
-            typeof args[0] === "string" &&
             ["string", "number"].includes(typeof args[1]) &&
             args.length === 2
         ) {
-            this.sql.where = format(`WHERE %I = %L`, args[0].trim(), args[1]);
-        } else if (
-            typeof args[0] === "string" &&
-            args[1] === null &&
-            args.length === 2
-        ) {
-            this.sql.where = format(`WHERE %I IS NULL`, args[0]);
+            return [format(`%s = ?`, column), [...bindings, args[1]]];
+        } else if (args[1] === null && args.length === 2) {
+            return [format(`%s IS NULL`, column), bindings];
+        }
+
+        throw new Error("Invalid arguments for where method");
+    }
+
+    /**
+     * Compiles a list of conditions into a sql string.
+     * @param {Array<object>} conditions The conditions to compile.
+     * @returns {Array<any>} An array with the sql of the conditions and their bindings.
+     */
+    #__conditions(conditions) {
+        const bindings = [];
+
+        const sql = conditions
+            .map(({ bool, not, sql, group, bindings: values }, index) => {
+                if (group) {
+                    [sql, values] = this.#__conditions(group);
+                }
+
+                bindings.push(...values);
+
+                const condition = not || group ? `(${sql})` : sql;
+
+                return `${index ? ` ${bool} ` : ""}${not ? "NOT " : ""}${condition}`;
+            })
+            .join("");
+
+        return [sql, bindings];
+    }
+
+    /**
+     * Adds a condition to the WHERE (or HAVING) clause and rebuilds it.
+     * @param {string} bool How the condition is joined with the previous ones. Either "AND" or "OR".
+     * @param {boolean} not Whether the condition should be negated.
+     * @param {Array<any>|function} condition The arguments for the condition, an array with the
+     * sql and bindings of a ready condition or a callback that builds a group of conditions.
+     * @param {string} [clause="where"] The clause to add the condition to. Either "where" or "having".
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     */
+    #__where(bool, not, condition, clause = "where") {
+        const conditions = this[`_${clause}`];
+
+        if (condition instanceof Function) {
+            const builder = new TableQueryBuilder(this.model, this.tableName);
+            condition.call(builder, builder);
+
+            if (builder[`_${clause}`].length) {
+                conditions.push({ bool, not, group: builder[`_${clause}`] });
+            }
         } else {
-            throw new Error("Invalid arguments for where method");
+            const [sql, bindings] = condition;
+            conditions.push({ bool, not, sql, bindings });
+        }
+
+        const [sql, bindings] = this.#__conditions(conditions);
+
+        this.sql[clause] = conditions.length ? `${clause.toUpperCase()} ${sql}` : "";
+        this.bindings[clause] = bindings;
+
+        return this;
+    }
+
+    /**
+     * Adds a WHERE clause to the query. Calling it several times joins the conditions with AND.
+     * @param {...any} args The arguments for the WHERE clause. Can be a single callback
+     * that receives a builder as `this` and as its argument to group conditions in parentheses.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     * @throws {Error} If no arguments were provided.
+     */
+    where(...args) {
+        if (args[0] instanceof Function && args.length === 1) {
+            return this.#__where("AND", false, args[0]);
+        }
+
+        return this.#__where("AND", false, this.#__condition(args));
+    }
+
+    /**
+     * Adds an OR condition to the WHERE clause.
+     * @param {...any} args The arguments for the OR condition. Same as for the `where` method.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     * @throws {Error} If the `where` method has not been called first.
+     */
+    or(...args) {
+        if (!this._where.length)
+            throw new Error(
+                `You can't call "or" method without first calling where method`
+            );
+
+        if (args[0] instanceof Function && args.length === 1) {
+            return this.#__where("OR", false, args[0]);
+        }
+
+        return this.#__where("OR", false, this.#__condition(args));
+    }
+
+    /**
+     * Adds an AND condition to the WHERE clause.
+     * @param {...any} args The arguments for the AND condition. Same as for the `where` method.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     * @throws {Error} If the `where` method has not been called first.
+     */
+    and(...args) {
+        if (!this._where.length)
+            throw new Error(
+                `You can't call "and" method without first calling where method`
+            );
+
+        return this.where(...args);
+    }
+
+    /**
+     * Adds a negated condition to the WHERE clause.
+     * @param {...any} args The arguments for the condition. Same as for the `where` method.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     */
+    whereNot(...args) {
+        if (args[0] instanceof Function && args.length === 1) {
+            return this.#__where("AND", true, args[0]);
+        }
+
+        return this.#__where("AND", true, this.#__condition(args));
+    }
+
+    /**
+     * Adds a negated OR condition to the WHERE clause.
+     * @param {...any} args The arguments for the condition. Same as for the `where` method.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     * @throws {Error} If the `where` method has not been called first.
+     */
+    orWhereNot(...args) {
+        if (!this._where.length)
+            throw new Error(
+                `You can't call "orWhereNot" method without first calling where method`
+            );
+
+        if (args[0] instanceof Function && args.length === 1) {
+            return this.#__where("OR", true, args[0]);
         }
 
-        return this;
+        return this.#__where("OR", true, this.#__condition(args));
+    }
+
+    /**
+     * Adds a WHERE column IN (...) condition. An empty list matches no rows.
+     * @param {string} column The name of the column.
+     * @param {Array<any>} values The values the column should match.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     * @throws {Error} If values isn't an array.
+     */
+    whereIn(column, values) {
+        if (!Array.isArray(values))
+            throw new Error(`"whereIn" method expects an array of values`);
+
+        if (!values.length) {
+            return this.#__where("AND", false, ["FALSE", []]);
+        }
+
+        return this.#__where("AND", false, this.#__condition([column, values]));
+    }
+
+    /**
+     * Adds a WHERE column NOT IN (...) condition. An empty list matches every row.
+     * @param {string} column The name of the column.
+     * @param {Array<any>} values The values the column should not match.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     * @throws {Error} If values isn't an array.
+     */
+    whereNotIn(column, values) {
+        if (!Array.isArray(values))
+            throw new Error(`"whereNotIn" method expects an array of values`);
+
+        if (!values.length) {
+            return this.#__where("AND", false, ["TRUE", []]);
+        }
+
+        return this.#__where("AND", false, [
+            format(
+                `%s NOT IN (%s)`,
+                this.#__identifier(column),
+                values.map(() => "?").join(", ")
+            ),
+            [...values],
+        ]);
+    }
+
+    /**
+     * Adds a WHERE column IS NULL condition.
+     * @param {string} column The name of the column.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     */
+    whereNull(column) {
+        return this.#__where("AND", false, [
+            format(`%s IS NULL`, this.#__identifier(column)),
+            [],
+        ]);
+    }
+
+    /**
+     * Adds a WHERE column IS NOT NULL condition.
+     * @param {string} column The name of the column.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     */
+    whereNotNull(column) {
+        return this.#__where("AND", false, [
+            format(`%s IS NOT NULL`, this.#__identifier(column)),
+            [],
+        ]);
+    }
+
+    /**
+     * Adds a WHERE column BETWEEN x AND y condition.
+     * @param {string} column The name of the column.
+     * @param {Array<any>} range An array with the lower and the upper bound.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     * @throws {Error} If range isn't an array of two values.
+     */
+    whereBetween(column, range) {
+        if (!Array.isArray(range) || range.length !== 2)
+            throw new Error(`"whereBetween" method expects an array of two values`);
+
+        return this.#__where("AND", false, [
+            format(`%s BETWEEN ? AND ?`, this.#__identifier(column)),
+            [...range],
+        ]);
+    }
+
+    /**
+     * Adds a case sensitive WHERE column LIKE pattern condition.
+     * @param {string} column The name of the column.
+     * @param {string} pattern The pattern to match against.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     */
+    whereLike(column, pattern) {
+        return this.#__where("AND", false, [
+            format(`%s LIKE ?`, this.#__identifier(column)),
+            [pattern],
+        ]);
+    }
+
+    /**
+     * Adds a case insensitive WHERE column ILIKE pattern condition.
+     * @param {string} column The name of the column.
+     * @param {string} pattern The pattern to match against.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     */
+    whereILike(column, pattern) {
+        return this.#__where("AND", false, [
+            format(`%s ILIKE ?`, this.#__identifier(column)),
+            [pattern],
+        ]);
+    }
+
+    /**
+     * Adds a raw sql condition to the WHERE clause. The sql isn't escaped,
+     * so values must be passed through the "?" placeholders. It's wrapped in parentheses,
+     * so an OR inside it doesn't escape the other conditions.
+     * @param {string} sql The sql of the condition. Use "\\?" for a literal question mark.
+     * @param {Array<any>} [bindings=[]] The values for the "?" placeholders.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     * @throws {Error} If the sql isn't a non-empty string.
+     */
+    whereRaw(sql, bindings = []) {
+        if (typeof sql !== "string" || !sql.trim())
+            throw new Error(`"whereRaw" method expects a sql string`);
+
+        return this.#__where("AND", false, [`(${sql})`, bindings]);
+    }
+
+    /**
+     * Adds a GROUP BY clause to the query.
+     * @param {...(string|Expression)} columns The columns or expressions to group by.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     * @throws {Error} If no columns were provided.
+     */
+    groupBy(...columns) {
+        if (!columns.length)
+            throw new Error(`"groupBy" method expects at least one column`);
+
+        const bindings = [];
+        const grouped = columns.map((col) => {
+            const [sql, values] = this.#__operand(col);
+            bindings.push(...values);
+
+            return sql;
+        });
+
+        this.sql.group = `GROUP BY ${grouped.join(", ")}`;
+        this.bindings.group = bindings;
+
+        return this;
+    }
+
+    /**
+     * Adds a HAVING clause to the query. Calling it several times joins the conditions with AND.
+     * @param {...any} args The arguments for the HAVING clause. Same as for the `where` method,
+     * except that the first argument is usually an aggregate like `count("id")`.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     * @throws {Error} If the arguments don't form a valid condition.
+     */
+    having(...args) {
+        if (args[0] instanceof Function && args.length === 1) {
+            return this.#__where("AND", false, args[0], "having");
+        }
+
+        return this.#__where("AND", false, this.#__condition(args), "having");
+    }
+
+    /**
+     * Adds an OR condition to the HAVING clause.
+     * @param {...any} args The arguments for the OR condition. Same as for the `having` method.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     * @throws {Error} If the `having` method has not been called first.
+     */
+    orHaving(...args) {
+        if (!this._having.length)
+            throw new Error(
+                `You can't call "orHaving" method without first calling having method`
+            );
+
+        if (args[0] instanceof Function && args.length === 1) {
+            return this.#__where("OR", false, args[0], "having");
+        }
+
+        return this.#__where("OR", false, this.#__condition(args), "having");
+    }
+
+    /**
+     * Adds a raw sql condition to the HAVING clause, wrapped in parentheses like for `whereRaw`.
+     * @param {string} sql The sql of the condition.
+     * @param {Array<any>} [bindings=[]] The values for the "?" placeholders.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     * @throws {Error} If the sql isn't a non-empty string.
+     */
+    havingRaw(sql, bindings = []) {
+        if (typeof sql !== "string" || !sql.trim())
+            throw new Error(`"havingRaw" method expects a sql string`);
+
+        return this.#__where("AND", false, [`(${sql})`, bindings], "having");
+    }
+
+    /**
+     * Specifies the columns to be returned by the query.
+     * @param {...string} columns The columns to return.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     */
+    returning(...columns) {
+        this.sql.returning = format(
+            `RETURNING %s`,
+            columns.length ? columns.filter((v) => v !== "*") : "*"
+        );
+        return this;
+    }
+
+    /**
+     * Rebuilds the ORDER BY clause from the list of ordered columns.
+     */
+    #__setOrder() {
+        const bindings = [];
+
+        const order = this._order.map((entry) => {
+            if (entry.raw !== undefined) {
+                bindings.push(...entry.bindings);
+                return entry.raw;
+            }
+
+            const [sql, values] = this.#__operand(entry.column);
+            bindings.push(...values);
+
+            const nulls = entry.nulls ? ` NULLS ${entry.nulls.toUpperCase()}` : "";
+
+            return `${sql} ${entry.order.toUpperCase()}${nulls}`;
+        });
+
+        this.sql.order = order.length ? `ORDER BY ${order.join(", ")}` : "";
+        this.bindings.order = bindings;
+    }
+
+    /**
+     * Adds columns to order the results by. Every call appends to the previous ones.
+     * Can be called as `orderBy("a", "b")`, `orderBy("a", "desc", "nulls last")`
+     * or with objects like `orderBy({ column: "a", order: "desc", nulls: "first" })`.
+     * Columns of joined tables can be prefixed with the table name ("users.name").
+     * @param {...(string|object|Expression)} args The columns to order by, or a column followed by
+     * its direction and optionally by where the nulls go.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     * @throws {Error} If the direction or the nulls position is invalid.
+     */
+    orderBy(...args) {
+        super.orderBy(...args);
+        this.#__setOrder();
+
+        return this;
+    }
+
+    /**
+     * Adds a raw sql expression to the ORDER BY clause.
+     * @param {string} sql The sql of the expression, e.g. "array_position(?, id)".
+     * @param {Array<any>} [bindings=[]] The values for the "?" placeholders.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     * @throws {Error} If the sql isn't a non-empty string.
+     */
+    orderByRaw(sql, bindings = []) {
+        if (typeof sql !== "string" || !sql.trim())
+            throw new Error(`"orderByRaw" method expects a sql string`);
+
+        this._order.push({ raw: sql, bindings });
+        this.#__setOrder();
+
+        return this;
+    }
+
+    /**
+     * Sets the order of the last column passed to `orderBy` to descending.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     */
+    desc() {
+        super.desc();
+        this.#__setOrder();
+
+        return this;
+    }
+
+    /**
+     * Limits the number of rows returned by the query.
+     * @param {number} number The maximum number of rows to return.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     */
+    limit(number) {
+        this.sql.limit = "LIMIT ?";
+        this.bindings.limit = [number];
+        return this;
+    }
+
+    /**
+     * Skips a number of rows before returning the rest.
+     * @param {number} number The number of rows to skip.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     * @throws {Error} If the number isn't a non-negative integer.
+     */
+    offset(number) {
+        if (!Number.isInteger(number) || number < 0)
+            throw new Error("Offset must be a non-negative integer");
+
+        this.sql.offset = "OFFSET ?";
+        this.bindings.offset = [number];
+        return this;
+    }
+
+    /**
+     * Executes the select query and returns the results.
+     * @returns {Promise<Array<object>>} A promise that resolves to an array of objects, where each object is a row from the database.
+     * @throws {Error} If no columns have been selected.
+     * @throws {Error} If any of the selected columns do not exist in the table.
+     */
+    async get() {
+        if (!this.sql.select) throw new Error(`Columns haven't been selected`);
+
+        const schemaData = await this.model.getSchemaData(this.tableName, !this._primary);
+        const columns = schemaData.map((row) => row.column_name);
+
+        if (
+            !this._select
+                .filter((col) => typeof col === "string")
+                .every((col) => columns.includes(col)) &&
+            this._select[0] !== "*" &&
+            !this.sql.join
+        )
+            throw new Error(
+                `Some of the selected columns don't exist in the "${this.tableName}" table`
+            );
+
+        this.#__scope();
+
+        const [sql, bindings] = this.#__compile();
+        const relations = this._with;
+
+        return await this.#__load(await this.#__read(sql, bindings), relations);
+    }
+
+    /**
+     * Eager loads relations of the entity, e.g. `with("posts.comments", "profile")`.
+     * Each relation is loaded with one query for all of the returned entities.
+     * @param {...(string|Array<string>)} relations The relations to load. Nested relations are separated by dots.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     * @throws {Error} If the builder didn't come from an entity.
+     */
+    with(...relations) {
+        if (!this.entity) throw new Error(`"with" method can only be used on queries of an entity`);
+
+        this._with.push(...relations.flat());
+        return this;
+    }
+
+    /**
+     * Includes the soft deleted rows in the query. Has no effect on tables without soft deletes.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     */
+    withTrashed() {
+        this._trashed = "with";
+        return this;
+    }
+
+    /**
+     * Limits the query to the soft deleted rows. Has no effect on tables without soft deletes.
+     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     */
+    onlyTrashed() {
+        this._trashed = "only";
+        return this;
+    }
+
+    /**
+     * Turns the rows of a select query into instances of the entity, if the builder has one,
+     * and eager loads their relations.
+     * @param {Array<object>} rows The rows of the query.
+     * @param {Array<string>} relations The relations to eager load.
+     * @returns {Promise<Array<object>>} The rows or the entities.
+     */
+    async #__load(rows, relations) {
+        if (!this.entity) return rows;
+
+        const entities = rows.map((row) => this.entity.hydrate(row));
+
+        if (relations.length) await this.entity.load(entities, relations, this.model);
+
+        return entities;
+    }
+
+    /**
+     * Iterates over the rows of the select query without loading them all into memory.
+     * The rows are read in batches through a server-side cursor. Outside of a transaction the cursor
+     * runs on a dedicated client, which is released when the iteration ends or is stopped early.
+     * Meant to be used with `for await (const row of query.cursor())`.
+     * @param {object} [options] The cursor options.
+     * @param {number} [options.batchSize=100] The number of rows fetched from the server at once.
+     * @returns {AsyncGenerator<object>} An async iterator over the rows.
+     * @throws {Error} If the batch size isn't a positive integer.
+     */
+    cursor({ batchSize = 100 } = {}) {
+        if (!Number.isInteger(batchSize) || batchSize <= 0)
+            throw new Error("Batch size must be a positive integer");
+
+        if (!this.sql.select) this.select();
+
+        this.#__scope();
+
+        const [sql, bindings] = this.#__compile();
+        const relations = this._with;
+        this.#__reset();
+
+        return this.#__cursor(sql, bindings, batchSize, relations);
+    }
+
+    /**
+     * Declares a server-side cursor for a query and yields its rows batch by batch.
+     * @param {string} sql The SQL string with "?" placeholders.
+     * @param {Array<any>} bindings The values for the placeholders.
+     * @param {number} batchSize The number of rows fetched from the server at once.
+     * @param {Array<string>} relations The relations to eager load for each batch.
+     * @returns {AsyncGenerator<object>} An async iterator over the rows.
+     */
+    async *#__cursor(sql, bindings, batchSize, relations) {
+        // A transaction already holds a client, and cursors only live inside a transaction anyway
+        const dedicated = !this.model.client;
+        const client = dedicated ? await this.model.connect() : this.model.client;
+        const name = `cursor_${randomUUID().replaceAll("-", "")}`;
+        let finished = false;
+
+        try {
+            if (dedicated) await this.model.execute(client, "BEGIN");
+
+            await this.model.execute(client, {
+                text: format(
+                    `DECLARE %I NO SCROLL CURSOR FOR %s`,
+                    name,
+                    this.#__placeholders(sql, (index) => `$${index + 1}`).slice(0, -1)
+                ),
+                values: bindings,
+            });
+
+            while (true) {
+                const { rows } = await this.model.execute(
+                    client,
+                    format(`FETCH %s FROM %I`, batchSize, name)
+                );
+
+                yield* await this.#__load(rows, relations);
+
+                if (rows.length < batchSize) break;
+            }
+
+            await this.model.execute(client, format(`CLOSE %I`, name));
+            if (dedicated) await this.model.execute(client, "COMMIT");
+
+            finished = true;
+        } finally {
+            if (!finished) {
+                // Either the iteration was stopped early or a query failed
+                try {
+                    await this.model.execute(client, dedicated ? "ROLLBACK" : format(`CLOSE %I`, name));
+                } catch {
+                    // The original error, if any, is the one worth rethrowing
+                }
+            }
+
+            if (dedicated) this.model.release(client);
+        }
+    }
+
+    /**
+     * Returns the rows of the select query as a readable stream in object mode.
+     * Backed by the `cursor` method, so the rows are read in batches.
+     * Destroying the stream releases the client.
+     * @param {object} [options] The cursor options.
+     * @param {number} [options.batchSize=100] The number of rows fetched from the server at once.
+     * @returns {Readable} A readable stream of rows.
+     */
+    stream({ batchSize = 100 } = {}) {
+        return Readable.from(this.cursor({ batchSize }));
+    }
+
+    /**
+     * Splits the rows of the select query into pages and returns one of them.
+     * Runs one count query and one data query.
+     * @param {object} [options] The pagination options.
+     * @param {number} [options.page=1] The number of the page to return. Starts from 1.
+     * @param {number} [options.perPage=15] The number of rows per page.
+     * @returns {Promise<{ data: Array<object>, total: number, page: number, lastPage: number }>}
+     * A promise that resolves to the rows of the page and the pagination info.
+     * @throws {Error} If page or perPage aren't positive integers.
+     */
+    async paginate({ page = 1, perPage = 15 } = {}) {
+        if (![page, perPage].every((value) => Number.isInteger(value) && value > 0))
+            throw new Error("Page and perPage must be positive integers");
+
+        if (!this.sql.select) this.select();
+
+        this.#__scope();
+
+        let [countSql, countBindings] = this.#__compile(["join", "where"]);
+        countSql = format(`SELECT COUNT(*) AS count FROM %I %s`, this.tableName, countSql);
+
+        // A grouped query has one row per group, so the groups have to be counted instead
+        if (this.sql.group) {
+            const [sql, bindings] = this.#__compile(["select", "join", "where", "group", "having"]);
+
+            countSql = `SELECT COUNT(*) AS count FROM (${sql.slice(0, -1)}) AS paginated;`;
+            countBindings = bindings;
+        }
+
+        // get() clears the builder, so whether the count has to run on the primary is read beforehand
+        const primary = this._primary;
+        const data = await this.limit(perPage).offset((page - 1) * perPage).get();
+        const [{ count }] = await this.#__read(countSql, countBindings, primary);
+
+        const total = parseInt(count);
+
+        return {
+            data,
+            total,
+            page,
+            lastPage: Math.max(1, Math.ceil(total / perPage)),
+        };
+    }
+
+    /**
+     * Returns the rows that come after a cursor, ordered by a column and the primary keys
+     * of the table. Unlike `paginate`, it doesn't slow down on deep pages,
+     * since the rows before the cursor are skipped through the index instead of an OFFSET.
+     * The order column shouldn't contain NULL values.
+     * @param {object} [options] The pagination options.
+     * @param {string} [options.after] The `nextCursor` of the previous page. Omit it to get the first page.
+     * @param {string} [options.orderBy] The column to order by. The primary keys are used if omitted.
+     * @param {string} [options.direction="asc"] The direction of the order. Either "asc" or "desc".
+     * @param {number} [options.limit=15] The maximum number of rows per page.
+     * @returns {Promise<{ data: Array<object>, nextCursor: string|null }>} A promise that resolves
+     * to the rows of the page and the cursor of the next page, which is null on the last page.
+     * @throws {Error} If the table doesn't have a primary key.
+     * @throws {Error} If the options are invalid.
+     * @throws {Error} If the cursor columns aren't selected.
+     */
+    async cursorPaginate({ after, orderBy, direction = "asc", limit = 15 } = {}) {
+        if (!Number.isInteger(limit) || limit <= 0)
+            throw new Error("Limit must be a positive integer");
+
+        if (!["asc", "desc"].includes(direction.toLowerCase()))
+            throw new Error(`Direction must be either "asc" or "desc"`);
+
+        const primaryKeys = await this.model.getPrimaryKeys(this.tableName, !this._primary);
+
+        if (!primaryKeys.length)
+            throw new Error(
+                `Cursor pagination requires a primary key in the "${this.tableName}" table`
+            );
+
+        const primaryKeyColumns = primaryKeys.map((col) => col.column_name);
+        const columns = orderBy
+            ? [orderBy, ...primaryKeyColumns.filter((col) => col !== orderBy)]
+            : primaryKeyColumns;
+
+        validateSQLName(...columns);
+
+        // Qualified, so joined tables with the same column names don't make them ambiguous
+        const qualified = columns.map((col) => `${this.tableName}.${col}`);
+        const identifiers = qualified.map((col) => this.#__identifier(col));
+        const order = direction.toUpperCase();
+
+        this.#__scope();
+
+        if (after !== undefined) {
+            let values;
+
+            try {
+                values = JSON.parse(Buffer.from(after, "base64url").toString("utf-8"));
+            } catch {
+                throw new Error("Invalid cursor");
+            }
+
+            if (!Array.isArray(values) || values.length !== columns.length)
+                throw new Error("Invalid cursor");
+
+            // The existing conditions are grouped, so an OR in them can't escape the cursor condition
+            if (this._where.length) {
+                this._where = [{ bool: "AND", not: false, group: this._where }];
+            }
+
+            this.#__where("AND", false, [
+                format(
+                    `(%s) %s (%s)`,
+                    identifiers.join(", "),
+                    order === "ASC" ? ">" : "<",
+                    values.map(() => "?").join(", ")
+                ),
+                values,
+            ]);
+        }
+
+        if (!this.sql.select) this.select();
+
+        this._order = [];
+        this.orderBy(qualified.map((column) => ({ column, order })));
+
+        // One extra row tells whether there's a next page
+        const rows = await this.limit(limit + 1).get();
+        const data = rows.slice(0, limit);
+
+        if (rows.length <= limit) {
+            return { data, nextCursor: null };
+        }
+
+        const lastRow = data[data.length - 1];
+
+        if (!columns.every((col) => Object.hasOwn(lastRow, col)))
+            throw new Error(`Columns ${columns} must be selected to build the cursor`);
+
+        const nextCursor = Buffer.from(
+            JSON.stringify(columns.map((col) => lastRow[col])),
+            "utf-8"
+        ).toString("base64url");
+
+        return { data, nextCursor };
     }
 
     /**
-     * Adds an OR condition to the WHERE clause.
-     * @param {...any} args The arguments for the OR condition.
-     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
-     * @throws {Error} If the `where` method has not been called first.
+     * Returns the hooks of the table and of the entity for one hook name.
+     * @param {string} name The name of the hook, e.g. "beforeInsert".
+     * @returns {Array<function(object): Promise<void>>} The hooks.
      */
-    or(...args) {
-        if (!this.sql.where)
-            throw new Error(
-                `You can't call "or" method without first calling where method`
-            );
-
-        const whereToAdd = this.sql.where + " OR ";
-        this.where(...args);
+    #__hooks(name) {
+        const hooks = [...(this.model.hooks?.[this.tableName]?.[name] ?? [])];
 
-        // slice(6) - we are slicing off the "WHERE " clause since it's length is 6(with a whitespace)
-        this.sql.where = whereToAdd + this.sql.where.slice(6);
+        if (this.entity?.[name] instanceof Function) {
+            hooks.push((context) => this.entity[name](context));
+        }
 
-        return this;
+        return hooks;
     }
 
     /**
-     * Adds an AND condition to the WHERE clause.
-     * @param {...any} args The arguments for the AND condition.
-     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
-     * @throws {Error} If the `where` method has not been called first.
+     * Runs a write query between its before and after hooks. If there are any hooks, the query
+     * runs inside a transaction, so a hook that throws rolls the write back.
+     * Every column is returned to the after hooks, unless `returning` selected some of them.
+     * @param {string} operation Either "insert", "upsert", "update" or "delete".
+     * @param {string} event The name of the hooks without the prefix, e.g. "Insert".
+     * @param {object} context What the hooks receive along with the table, model and client.
+     * @param {function(Model|Transaction, string): Promise<Array<object>>} run Runs the query on
+     * the given model with the given RETURNING clause and returns the rows.
+     * @returns {Promise<Array<object>>} The returned rows.
      */
-    and(...args) {
-        if (!this.sql.where)
-            throw new Error(
-                `You can't call "and" method without first calling where method`
-            );
+    async #__write(operation, event, context, run) {
+        const before = this.#__hooks(`before${event}`);
+        const after = this.#__hooks(`after${event}`);
+        const { returning } = this.sql;
+
+        if (!before.length && !after.length) return await run(this.model, returning);
+
+        const within = async (model) => {
+            const hookContext = {
+                table: this.tableName,
+                operation,
+                model,
+                client: model.client,
+                ...context,
+            };
 
-        const whereToAdd = this.sql.where + " AND ";
-        this.where(...args);
+            for (const hook of before) await hook(hookContext);
 
-        // slice(6) - we are slicing off the "WHERE " clause since it's length is 6(with a whitespace)
-        this.sql.where = whereToAdd + this.sql.where.slice(6);
+            const rows = await run(model, after.length ? returning || "RETURNING *" : returning);
 
-        return this;
-    }
+            for (const hook of after) await hook({ ...hookContext, rows });
 
-    /**
-     * Specifies the columns to be returned by the query.
-     * @param {...string} columns The columns to return.
-     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
-     */
-    returning(...columns) {
-        this.sql.returning = format(
-            `RETURNING %s`,
-            columns.length ? columns.filter((v) => v !== "*") : "*"
-        );
-        return this;
-    }
+            return returning ? rows : [];
+        };
 
-    /**
-     * Specifies the columns to order the results by.
-     * @param {...string} columns The columns to order by.
-     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
-     */
-    orderBy(...columns) {
-        this._order = columns?.length ? columns.filter((col) => col !== "*") : [];
-        this.sql.order = this._order.length
-            ? format(`ORDER BY %s`, this._order)
-            : "";
-        return this;
+        // A transaction the query already runs in is reused
+        return this.model.client ? await within(this.model) : await this.model.transaction(within);
     }
 
     /**
-     * Sets the order to descending.
-     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
+     * Deletes rows from the table. Runs the beforeDelete and afterDelete hooks.
+     * If the table uses soft deletes, the rows get their deletion column set instead of being removed.
+     * @returns {Promise<Array<object>>} A promise that resolves to an array of the deleted rows.
      */
-    desc() {
-        this.sql.desc = "DESC";
-        return this;
-    }
+    async delete() {
+        const { softDeletes } = this.#__settings();
 
-    /**
-     * Limits the number of rows returned by the query.
-     * @param {number} number The maximum number of rows to return.
-     * @returns {TableQueryBuilder} The current instance of the TableQueryBuilder.
-     */
-    limit(number) {
-        this.sql.limit = format(`LIMIT %s`, number);
-        return this;
-    }
+        if (!softDeletes) return await this.forceDelete();
 
-    /**
-     * Executes the select query and returns the results.
-     * @returns {Promise<Array<object>>} A promise that resolves to an array of objects, where each object is a row from the database.
-     * @throws {Error} If no columns have been selected.
-     * @throws {Error} If any of the selected columns do not exist in the table.
-     */
-    async get() {
-        if (!this.sql.select) throw new Error(`Columns haven't been selected`);
+        this.#__scope();
 
-        const schemaData = await this.model.getSchemaData(this.tableName);
-        const columns = schemaData.map((row) => row.column_name);
+        const { where } = this.sql;
+        const bindings = this.bindings.where;
 
-        if (
-            !this._select.every((col) => columns.includes(col)) &&
-            this._select[0] !== "*" &&
-            !this.sql.join
-        )
-            throw new Error(
-                `Some of the selected columns don't exist in the "${this.tableName}" table`
+        return await this.#__write("delete", "Delete", {}, async (model, returning) => {
+            const sql = format(
+                `UPDATE %I SET %I = ? %s %s;`,
+                this.tableName,
+                softDeletes,
+                where,
+                returning
             );
 
-        const sql =
-            Object.values(this.sql)
-                .filter((value) => value)
-                .join(" ")
-                .trim() + ";";
-
-        return await this.#__execute(sql);
+            return await this.#__execute(sql, [new Date(), ...bindings], model);
+        });
     }
 
     /**
-     * Deletes rows from the table.
+     * Removes rows from the table, even if it uses soft deletes. Soft deleted rows are removed as well.
+     * Runs the beforeDelete and afterDelete hooks.
      * @returns {Promise<Array<object>>} A promise that resolves to an array of the deleted rows.
      */
-    async delete() {
-        const { where, returning } = this.sql;
-        const sql = format(
-            `DELETE FROM %I %s %s;`,
-            this.tableName,
-            where,
-            returning
-        );
+    async forceDelete() {
+        const { where } = this.sql;
+        const bindings = this.bindings.where;
+
+        return await this.#__write("delete", "Delete", {}, async (model, returning) => {
+            const sql = format(`DELETE FROM %I %s %s;`, this.tableName, where, returning);
 
-        return await this.#__execute(sql);
+            return await this.#__execute(sql, bindings, model);
+        });
+    }
+
+    /**
+     * Brings back soft deleted rows by clearing their deletion column. Runs the update hooks.
+     * @returns {Promise<Array<object>>} A promise that resolves to an array of the restored rows.
+     * @throws {Error} If the table doesn't use soft deletes.
+     */
+    async restore() {
+        const { softDeletes } = this.#__settings();
+
+        if (!softDeletes)
+            throw new Error(`The "${this.tableName}" table doesn't use soft deletes`);
+
+        this._trashed = "only";
+        this.#__scope();
+
+        return await this.update({ [softDeletes]: null });
     }
 
     /**
      * Contains similar logic that is shared between public insert and upsert methods.
+     * Columns a row leaves out get their default, and the primary keys are left out of the query
+     * when none of the rows has them.
      * @param {object|Array<object>} values An object or an array of objects representing the rows to insert.
-     * @returns {Promise<Array<any>>} A promise that resolves to an array representing the sql query and schema data.
-     * @throws {Error} If any of the provided columns do not exist in the table.
-     * @throws {Error} If any of the mandatory columns are missing.
+     * @param {Model|Transaction} [model=this.model] The model or transaction to read the schema with.
+     * @returns {Promise<Array<any>>} A promise that resolves to an array representing the sql query, its bindings and schema data.
+     * @throws {ValidationError} If any of the provided columns do not exist in the table.
+     * @throws {ValidationError} If any of the mandatory columns are missing.
      */
-    async #__insert(values) {
+    async #__insert(values, model = this.model) {
         const rows = Array.isArray(values) ? values : [values];
 
-        const primaryKeys = await this.model.getPrimaryKeys(this.tableName);
-        let schemaData = await this.model.getSchemaData(this.tableName);
+        const primaryKeys = await model.getPrimaryKeys(this.tableName, false);
+        let schemaData = await model.getSchemaData(this.tableName, false);
 
-        // If values doesn't have primary keys
-        if (primaryKeys.some((col) => !values[col.column_name])) {
+        // If none of the rows have primary keys
+        if (rows.every((row) => primaryKeys.some((col) => !row[col.column_name]))) {
             // We remove data about primary keys in schemaData
             const primaryKeyColumns = primaryKeys.map((col) => col.column_name);
             schemaData = schemaData.filter(
@@ -432,22 +1509,35 @@ class TableQueryBuilder extends QueryBuilder {
             const valueKeys = Object.keys(values);
             validateSQLName(...valueKeys);
 
-            if (!valueKeys.every((col) => columns.includes(col)))
-                throw new Error(
-                    `Some of the provided columns don't exist in table "${this.tableName}"`
-                );
+            const unknownColumns = valueKeys.filter((col) => !columns.includes(col));
 
-            if (
-                !mandatoryColumns.every((col) => valueKeys.includes(col) && values[col])
-            )
-                throw new Error(`Missing mandatory columns: ${mandatoryColumns}`);
+            if (unknownColumns.length)
+                throw new ValidationError(
+                    `Some of the provided columns don't exist in table "${this.tableName}"`,
+                    { reason: "unknown-columns", table: this.tableName, columns: unknownColumns }
+                );
 
-            return schemaData.map(
-                (col) => values[col.column_name] || col.column_default
+            const missingColumns = mandatoryColumns.filter(
+                (col) => !valueKeys.includes(col) || !values[col]
             );
+
+            if (missingColumns.length)
+                throw new ValidationError(`Missing mandatory columns: ${mandatoryColumns}`, {
+                    reason: "missing-columns",
+                    table: this.tableName,
+                    columns: missingColumns,
+                });
+
+            return schemaData.map((col) => {
+                if (values[col.column_name] !== undefined) return values[col.column_name];
+
+                return col.column_default === null ? null : DEFAULT;
+            });
         });
 
-        const sqlValuesString = sortedValues.map((row) => format(`(%L)`, row));
+        const sqlValuesString = sortedValues.map(
+            (row) => `(${row.map((value) => (value === DEFAULT ? "DEFAULT" : "?")).join(", ")})`
+        );
 
         const sql = format(
             `INSERT INTO %I (%I) VALUES %s`,
@@ -456,83 +1546,130 @@ class TableQueryBuilder extends QueryBuilder {
             sqlValuesString
         );
 
-        return [sql, schemaData, primaryKeys];
+        return [sql, sortedValues.flat().filter((value) => value !== DEFAULT), schemaData, primaryKeys];
+    }
+
+    /**
+     * Fills the creation and update timestamps of rows to insert, if the table has timestamps.
+     * @param {object|Array<object>} values An object or an array of objects representing the rows.
+     * @returns {object|Array<object>} The rows with the timestamps.
+     */
+    #__timestamps(values) {
+        const { timestamps } = this.#__settings();
+
+        if (!timestamps) return values;
+
+        const columns = [timestamps.createdAt, timestamps.updatedAt];
+
+        return Array.isArray(values)
+            ? values.map((row) => this.#__stamp(row, columns))
+            : this.#__stamp(values, columns);
     }
 
     /**
-     * Inserts one or more rows into the table.
+     * Inserts one or more rows into the table. Runs the beforeInsert and afterInsert hooks.
+     * The beforeInsert hooks can change the rows before they're inserted.
      * @param {object|Array<object>} values An object or an array of objects representing the rows to insert.
      * @returns {Promise<Array<object>>} A promise that resolves to an array of the inserted rows.
      */
     async insert(values) {
-        let [sql, _, __] = await this.#__insert(values);
+        values = this.#__timestamps(values);
+        const rows = Array.isArray(values) ? values : [values];
 
-        sql = format(`%s %s`, sql, this.sql.returning);
+        return await this.#__write("insert", "Insert", { rows }, async (model, returning) => {
+            let [sql, bindings] = await this.#__insert(values, model);
 
-        return await this.#__execute(sql);
+            sql = format(`%s %s`, sql, returning);
+
+            return await this.#__execute(sql, bindings, model);
+        });
     }
 
     /**
-     * Updates rows in the table.
+     * Updates rows in the table. Runs the beforeUpdate and afterUpdate hooks.
+     * The beforeUpdate hooks can change the values before they're set.
      * @param {object} values An object representing the columns to update and their new values.
      * @returns {Promise<Array<object>>} A promise that resolves to an array of the updated rows.
      */
     async update(values) {
-        const set = Object.entries(values).map(([key, value]) =>
-            format(`%I = %L`, key, value)
-        );
+        const { timestamps } = this.#__settings();
 
-        const { where, returning } = this.sql;
-        const sql = format(
-            `UPDATE %I SET %s %s %s;`,
-            this.tableName,
-            set,
-            where,
-            returning
-        );
+        if (timestamps) values = this.#__stamp(values, [timestamps.updatedAt]);
+
+        const { where } = this.sql;
+        const whereBindings = this.bindings.where;
+
+        return await this.#__write("update", "Update", { values }, async (model, returning) => {
+            const set = Object.keys(values).map((key) => format(`%I = ?`, key));
+            const sql = format(
+                `UPDATE %I SET %s %s %s;`,
+                this.tableName,
+                set,
+                where,
+                returning
+            );
 
-        return await this.#__execute(sql);
+            return await this.#__execute(sql, [...Object.values(values), ...whereBindings], model);
+        });
     }
 
     /**
-     * Inserts or updates multiple rows in a table.
+     * Inserts or updates multiple rows in a table. Runs the beforeInsert and afterInsert hooks.
      * @param {object|Array<object>} values An object or an array of objects representing the rows to upsert.
      * @returns {Promise<Array<object>>} A promise that resolves to an array of the upserted rows.
      */
     async upsert(values) {
-        let [sql, schemaData, primaryKeys] = await this.#__insert(values);
+        values = this.#__timestamps(values);
+        const rows = Array.isArray(values) ? values : [values];
+
+        return await this.#__write("upsert", "Insert", { rows }, async (model, returning) =>
+            this.#__upsert(values, model, returning)
+        );
+    }
+
+    /**
+     * Builds and runs an upsert query.
+     * @param {object|Array<object>} values An object or an array of objects representing the rows to upsert.
+     * @param {Model|Transaction} model The model or transaction to run the query on.
+     * @param {string} returning The RETURNING clause.
+     * @returns {Promise<Array<object>>} A promise that resolves to an array of the upserted rows.
+     */
+    async #__upsert(values, model, returning) {
+        let [sql, bindings, schemaData, primaryKeys] = await this.#__insert(values, model);
 
         if (!primaryKeys.length) {
             // Do an insert
-            sql = format(`%s %s`, sql, this.sql.returning);
+            sql = format(`%s %s`, sql, returning);
 
-            return await this.#__execute(sql);
+            return await this.#__execute(sql, bindings, model);
         }
 
         const primaryKeyColumns = primaryKeys.map((col) => col.column_name);
+        // A conflicting row keeps the time it was created at
+        const createdAt = this.#__settings().timestamps?.createdAt;
         const columnsToUpdate = schemaData.filter(
-            (col) => !primaryKeyColumns.includes(col.column_name)
+            (col) => !primaryKeyColumns.includes(col.column_name) && col.column_name !== createdAt
         );
 
+        // The columns a row leaves out were inserted with their defaults, so they're reset to them
         const sqlSetValuesString = columnsToUpdate
-            .map((col) => {
-                if (values[col.column_name]) {
-                    return format(`%1$I = EXCLUDED.%1$I`, col.column_name);
-                }
-
-                return format(`%I = %L`, col.column_name, col.column_default);
-            })
+            .map((col) => format(`%1$I = EXCLUDED.%1$I`, col.column_name))
             .join(", ");
 
+        // A table made only of primary key columns has nothing to update
+        const conflictAction = sqlSetValuesString
+            ? `DO UPDATE SET ${sqlSetValuesString}`
+            : "DO NOTHING";
+
         sql = format(
-            `%s ON CONFLICT (%I) DO UPDATE SET %s %s`,
+            `%s ON CONFLICT (%I) %s %s`,
             sql,
-            primaryKeys[0].column_name,
-            sqlSetValuesString,
-            this.sql.returning
+            primaryKeyColumns,
+            conflictAction,
+            returning
         );
 
-        return await this.#__execute(sql);
+        return await this.#__execute(sql, bindings, model);
     }
 
     /**
@@ -541,9 +1678,8 @@ class TableQueryBuilder extends QueryBuilder {
      * @returns {Promise<object>}
      */
     async #__alter(columnData) {
-        const schemaData = await this.model.getSchemaData(this.tableName);
-        let { name, type, length, precision, scale, defaultValue, nullable } =
-            columnData;
+        const schemaData = await this.model.getSchemaData(this.tableName, false);
+        const { name, defaultValue, nullable } = columnData;
 
         const initialColumn = schemaData.filter(
             (col) => col["column_name"] === name
@@ -551,38 +1687,16 @@ class TableQueryBuilder extends QueryBuilder {
         const initialDataType =
             initialColumn.length === 1 ? initialColumn[0]["data_type"] : null;
 
-        type = type.toLowerCase();
-
         validateSQLName(name);
 
-        const sqlType = (() => {
-            switch (type) {
-                case "string": {
-                    if (!length) throw new Error("String type requires max length");
+        const sqlType = columnType(columnData);
 
-                    return `VARCHAR(${length})`;
-                }
-                case "float": {
-                    if (!precision || !scale)
-                        throw new Error("Float type requires max and min");
+        const defaultClause = (() => {
+            if (defaultValue instanceof Expression) return `DEFAULT ${defaultValue.sql}`;
+            if (defaultValue !== undefined) return format(`DEFAULT %L`, defaultValue);
 
-                    return `DECIMAL(${precision}, ${scale})`;
-                }
-                case "pk": {
-                    return "SERIAL PRIMARY KEY";
-                }
-                case "int":
-                case "timestamp":
-                case "time":
-                case "date":
-                    return type.toUpperCase();
-                default:
-                    throw new Error(`Unsupported data type: ${type["name"]}`);
-            }
+            return "";
         })();
-
-        const defaultClause =
-            defaultValue !== undefined ? format(`DEFAULT %L`, defaultValue) : "";
         const nullClause = nullable === false ? "NOT NULL" : "";
 
         const sql = format(`ALTER TABLE %I`, this.tableName);
@@ -602,11 +1716,12 @@ class TableQueryBuilder extends QueryBuilder {
      * Creates a new column in a specified table.
      * @param {object} columnData - An object containing the configuration for the new column.
      * @param {string} columnData.name - The name of the new column. Must be a valid SQL identifier.
-     * @param {string} columnData.type - The data type of the column. Supported types: 'string', 'int', 'float', 'date', 'timestamp', 'time', 'pk'.
+     * @param {string} columnData.type - The data type of the column. See `columnType` for the supported types.
      * @param {number} [columnData.length] - The maximum length for 'string' type columns. Required if type is 'string'.
-     * @param {number} [columnData.precision] - The total number of digits for 'float' type columns. Required if type is 'float'.
-     * @param {number} [columnData.scale] - The number of digits to the right of the decimal point for 'float' type columns. Required if type is 'float'.
-     * @param {*} [columnData.defaultValue] - The default value for the column. If a string or date, it will be wrapped in single quotes.
+     * @param {number} [columnData.precision] - The total number of digits for 'float' and 'numeric' type columns. Required if type is 'float'.
+     * @param {number} [columnData.scale] - The number of digits to the right of the decimal point for 'float' and 'numeric' type columns. Required if type is 'float'.
+     * @param {string} [columnData.enumName] - The name of an existing enum type. Required if type is 'enum'.
+     * @param {*} [columnData.defaultValue] - The default value for the column. If a string or date, it will be wrapped in single quotes. Pass a `raw()` expression for sql like `now()`.
      * @param {boolean} [columnData.nullable=true] - Whether the column can accept NULL values. Set to `false` for NOT NULL.
      * @throws {Error} If a column with that name already exists.
      * @throws {Error} If a default value is specified for a serial primary key.
@@ -621,7 +1736,7 @@ class TableQueryBuilder extends QueryBuilder {
             throw new Error(`There is already column with name ${name}.`);
         }
 
-        if (type === "pk" && defaultValue) {
+        if (primaryKeyTypes.includes(type.toLowerCase()) && defaultValue !== undefined) {
             throw new Error(`Can't add a serial primary key with a default value.`);
         }
 
@@ -641,18 +1756,22 @@ class TableQueryBuilder extends QueryBuilder {
      * Modifies an existing column, their type, default value and etc.
      * @param {object} columnData - An object containing the configuration for the new column.
      * @param {string} columnData.name - The name of the new column. Must be a valid SQL identifier.
-     * @param {string} columnData.type - The data type of the column. Supported types: 'string', 'int', 'float', 'date', 'timestamp', 'time'
+     * @param {string} columnData.type - The data type of the column. See `columnType` for the supported types, primary key types can't be used.
      * @param {number} [columnData.length] - The maximum length for 'string' type columns. Required if type is 'string'.
-     * @param {number} [columnData.precision] - The total number of digits for 'float' type columns. Required if type is 'float'.
-     * @param {number} [columnData.scale] - The number of digits to the right of the decimal point for 'float' type columns. Required if type is 'float'.
-     * @param {*} [columnData.defaultValue] - The default value for the column. If a string or date, it will be wrapped in single quotes.
-     * @param {boolean} [columnData.nullable=true] - Whether the column can accept NULL values. Set to `false` for NOT NULL.
+     * @param {number} [columnData.precision] - The total number of digits for 'float' and 'numeric' type columns. Required if type is 'float'.
+     * @param {number} [columnData.scale] - The number of digits to the right of the decimal point for 'float' and 'numeric' type columns. Required if type is 'float'.
+     * @param {string} [columnData.enumName] - The name of an existing enum type. Required if type is 'enum'.
+     * @param {*} [columnData.defaultValue] - The default value for the column. If a string or date, it will be wrapped in single quotes. Pass a `raw()` expression for sql like `now()`.
+     * @param {boolean} [columnData.nullable] - Whether the column can accept NULL values. `false` sets NOT NULL, `true` drops it
+     * and leaving it out keeps the column as it is.
+     * @param {string} [columnData.using] - The sql expression that converts the current values, e.g. `"age::int"`.
+     * It isn't escaped and lifts the convertibility check.
      * @throws {Error} If the provided column doesn't exist in the table.
-     * @throws {Error} If initial column type is not convertable to the provided one.
+     * @throws {Error} If initial column type is not convertable to the provided one without a USING expression.
      * @throws {Error} If an unsupported data type is specified.
      */
     async modify(columnData) {
-        const { type } = columnData;
+        const { type, using, nullable } = columnData;
 
         let {
             sql,
@@ -668,50 +1787,10 @@ class TableQueryBuilder extends QueryBuilder {
             throw new Error(`There is no such column as ${name}.`);
         }
 
-        switch (type) {
-            case "float":
-            case "int": {
-                const numericTypes = [
-                    "integer",
-                    "decimal",
-                    "smallint",
-                    "bigint",
-                    "real",
-                    "double precision",
-                    "numeric",
-                ];
-
-                if (!numericTypes.includes(initialDataType)) {
-                    throw new Error(
-                        "Can not convert non-numeric data types into numeric."
-                    );
-                }
-
-                break;
-            }
-            case "date":
-            case "time":
-            case "timestamp": {
-                const dateTypes = [
-                    "date",
-                    "time",
-                    "timestamp",
-                    "timestamp without time zone",
-                    "interval",
-                ];
-
-                if (!dateTypes.includes(initialDataType)) {
-                    throw new Error(
-                        "Can not convert non-date types into date like types."
-                    );
-                }
-
-                break;
-            }
-            case "string":
-                break;
-            default:
-                throw new Error(`Unsupported data type: ${type}.`);
+        if (!isConvertible(type, initialDataType, initialColumn[0].udt_name) && !using) {
+            throw new Error(
+                `Can not convert the "${initialDataType}" column ${name} into ${sqlType} without a USING expression.`
+            );
         }
 
         const nullAction = (() => {
@@ -719,6 +1798,10 @@ class TableQueryBuilder extends QueryBuilder {
                 return format(`%s ALTER COLUMN %I SET %s;`, sql, name, nullClause);
             }
 
+            if (nullable === true) {
+                return format(`%s ALTER COLUMN %I DROP NOT NULL;`, sql, name);
+            }
+
             return "";
         })();
 
@@ -731,10 +1814,11 @@ class TableQueryBuilder extends QueryBuilder {
         })();
 
         sql = format(
-            `%s ALTER COLUMN %I TYPE %s; %s %s`,
+            `%s ALTER COLUMN %I TYPE %s%s; %s %s`,
             sql,
             name,
             sqlType,
+            using ? ` USING ${using}` : "",
             nullAction,
             defaultAction
         );
@@ -750,7 +1834,7 @@ class TableQueryBuilder extends QueryBuilder {
     async rename(oldName, newName) {
         validateSQLName(oldName, newName);
 
-        const schemaData = await this.model.getSchemaData(this.tableName);
+        const schemaData = await this.model.getSchemaData(this.tableName, false);
         const columns = schemaData.map((col) => col.column_name);
 
         if (!columns.includes(oldName))
@@ -775,7 +1859,7 @@ class TableQueryBuilder extends QueryBuilder {
     async del(column) {
         validateSQLName(column);
 
-        const schemaData = await this.model.getSchemaData(this.tableName);
+        const schemaData = await this.model.getSchemaData(this.tableName, false);
         const columns = schemaData.map((col) => col.column_name);
 
         if (!columns.includes(column))
@@ -789,7 +1873,209 @@ class TableQueryBuilder extends QueryBuilder {
     }
 
     /**
-     * Counts the number of rows in a given table
+     * Makes a constraint add itself to the table when it's awaited,
+     * so it can still be configured with its chainable methods.
+     * Awaiting it again doesn't add it twice.
+     * @param {Constraint} constraint The constraint to add.
+     * @returns {Constraint} The awaitable constraint.
+     */
+    #__constraint(constraint) {
+        let added;
+
+        constraint.then = (resolve, reject) => {
+            added ??= (async () => {
+                const sql = format(`ALTER TABLE %I ADD %s`, this.tableName, constraint.toSql());
+
+                await this.#__execute(sql);
+            })();
+
+            return added.then(resolve, reject);
+        };
+
+        return constraint;
+    }
+
+    /**
+     * Adds a foreign key constraint to the table once awaited, e.g.
+     * `await table.foreign("user_id").references("users.id").onDelete("cascade")`.
+     * @param {string|Array<string>} columns The referencing columns.
+     * @returns {ForeignKey} The awaitable foreign key.
+     */
+    foreign(columns) {
+        return this.#__constraint(new ForeignKey(this.tableName, columns));
+    }
+
+    /**
+     * Adds a unique constraint over one or more columns to the table once awaited.
+     * @param {string|Array<string>} columns The columns whose combined values have to be unique.
+     * @returns {Unique} The awaitable unique constraint.
+     */
+    unique(columns) {
+        return this.#__constraint(new Unique(this.tableName, columns));
+    }
+
+    /**
+     * Adds a check constraint to the table once awaited.
+     * @param {string} expression The boolean sql expression, e.g. `"price > 0"`. It isn't escaped.
+     * @returns {Check} The awaitable check constraint.
+     */
+    check(expression) {
+        return this.#__constraint(new Check(this.tableName, expression));
+    }
+
+    /**
+     * Adds a primary key, which can span several columns, to the table once awaited.
+     * @param {string|Array<string>} columns The columns of the primary key.
+     * @returns {PrimaryKey} The awaitable primary key.
+     */
+    primary(columns) {
+        return this.#__constraint(new PrimaryKey(this.tableName, columns));
+    }
+
+    /**
+     * Drops a constraint from the table.
+     * @param {string} name The name of the constraint.
+     * @throws {Error} If the table doesn't have a constraint with that name.
+     */
+    async dropConstraint(name) {
+        validateSQLName(name);
+
+        const constraints = await this.model.getConstraints(this.tableName, false);
+
+        if (!constraints.some((constraint) => constraint.name === name))
+            throw new Error(
+                `There's no such constraint as "${name}" in the table "${this.tableName}"`
+            );
+
+        const sql = format(`ALTER TABLE %I DROP CONSTRAINT %I`, this.tableName, name);
+
+        await this.#__execute(sql);
+    }
+
+    /**
+     * Turns an expression into sql with its values inlined as literals,
+     * for the statements that can't take placeholders such as CREATE INDEX.
+     * @param {Expression|string} expression The expression or raw sql.
+     * @returns {string} The sql of the expression.
+     */
+    #__inline(expression) {
+        if (!(expression instanceof Expression)) return expression;
+
+        return this.#__placeholders(expression.sql, (index) =>
+            format.literal(expression.bindings[index])
+        );
+    }
+
+    /**
+     * Creates an index on the table.
+     * @param {string|Expression|Array<string|Expression>} columns The indexed columns. Expressions
+     * such as `raw("lower(email)")` index the result of the expression.
+     * @param {object} [options] The options of the index.
+     * @param {string} [options.name] The name of the index. Defaults to `<table>_<columns>_idx`.
+     * @param {boolean} [options.unique=false] Whether the index is unique.
+     * @param {string} [options.method="btree"] The index method: 'btree', 'gin', 'gist' or 'hash'.
+     * @param {string|Expression} [options.where] The condition of a partial index, e.g. `"deleted_at IS NULL"`.
+     * A string isn't escaped.
+     * @param {boolean} [options.concurrently=false] Whether to build the index without locking out writes.
+     * Can't be used inside a transaction.
+     * @throws {Error} If the method isn't supported or the index is created concurrently inside a transaction.
+     */
+    async createIndex(columns, options = {}) {
+        const methods = ["btree", "gin", "gist", "hash"];
+
+        columns = Array.isArray(columns) ? columns : [columns];
+
+        const {
+            unique = false,
+            method = "btree",
+            where,
+            concurrently = false,
+            name = `${this.tableName}_${columns
+                .filter((column) => typeof column === "string")
+                .map((column) => column.replaceAll(".", "_"))
+                .join("_")}_idx`,
+        } = options;
+
+        if (!columns.length) throw new Error(`The index needs at least one column`);
+
+        validateSQLName(name, ...columns.filter((column) => typeof column === "string"));
+
+        if (!methods.includes(method))
+            throw new Error(`Unsupported index method: ${method}. Use one of ${methods.join(", ")}`);
+
+        if (concurrently && this.model.client)
+            throw new Error(`Indexes can't be created concurrently inside a transaction`);
+
+        const sqlColumns = columns.map((column) =>
+            column instanceof Expression ? `(${this.#__inline(column)})` : this.#__identifier(column)
+        );
+
+        const sql = format(
+            `CREATE %sINDEX %s%I ON %I USING %s (%s)%s`,
+            unique ? "UNIQUE " : "",
+            concurrently ? "CONCURRENTLY " : "",
+            name,
+            this.tableName,
+            method,
+            sqlColumns.join(", "),
+            where ? ` WHERE ${this.#__inline(where)}` : ""
+        );
+
+        await this.#__execute(sql);
+    }
+
+    /**
+     * Drops an index of the table.
+     * @param {string} name The name of the index.
+     * @param {object} [options] The options of the statement.
+     * @param {boolean} [options.concurrently=false] Whether to drop the index without locking out the table.
+     * Can't be used inside a transaction.
+     * @throws {Error} If the table doesn't have an index with that name.
+     */
+    async dropIndex(name, { concurrently = false } = {}) {
+        validateSQLName(name);
+
+        if (concurrently && this.model.client)
+            throw new Error(`Indexes can't be dropped concurrently inside a transaction`);
+
+        const indexes = await this.model.getIndexes(this.tableName, false);
+
+        if (!indexes.some((index) => index.name === name))
+            throw new Error(`There's no such index as "${name}" in the table "${this.tableName}"`);
+
+        const sql = format(`DROP INDEX %s%I`, concurrently ? "CONCURRENTLY " : "", name);
+
+        await this.#__execute(sql);
+    }
+
+    /**
+     * Runs an aggregate function over a column. Respects the WHERE and JOIN clauses of the query.
+     * @param {string} fn The name of the aggregate function.
+     * @param {string} column The name of the column.
+     * @returns {Promise<object>} A promise that resolves to the only row of the result,
+     * where the aggregated value is under the lowercased function name.
+     */
+    async #__aggregate(fn, column) {
+        this.sql.select = format(
+            `SELECT %s(%s) AS %I FROM %I`,
+            fn,
+            column === "*" ? column : this.#__identifier(column),
+            fn.toLowerCase(),
+            this.tableName
+        );
+        this.bindings.select = [];
+
+        this.#__scope();
+
+        const [sql, bindings] = this.#__compile(["select", "join", "where"]);
+
+        const rows = await this.#__read(sql, bindings);
+
+        return rows[0];
+    }
+
+    /**
+     * Counts the number of rows in a given table. Only the rows matching the WHERE clause are counted.
      * @param {string} [column] The name of the column to count.
      * If omitted "*" is used.
      * @returns Promise<int> the number of rows in the table
@@ -801,11 +2087,9 @@ class TableQueryBuilder extends QueryBuilder {
             column = "*";
         }
 
-        const sql = format(`SELECT COUNT(%s) FROM %I`, column, this.tableName);
-
-        const rows = await this.#__execute(sql);
+        const row = await this.#__aggregate("COUNT", column);
 
-        return parseInt(rows[0].count);
+        return parseInt(row.count);
     }
 
     /**
@@ -816,11 +2100,9 @@ class TableQueryBuilder extends QueryBuilder {
     async sum(column) {
         validateSQLName(column);
 
-        const sql = format(`SELECT SUM(%s) FROM %I`, column, this.tableName);
+        const row = await this.#__aggregate("SUM", column);
 
-        const rows = await this.#__execute(sql);
-
-        return parseInt(rows[0].sum);
+        return parseInt(row.sum);
     }
 
     /**
@@ -836,15 +2118,13 @@ class TableQueryBuilder extends QueryBuilder {
         if (typeof precision === "number" && (precision > 100 || precision < 0))
             throw new Error("Precision must in range of 0-100");
 
-        const sql = format(`SELECT AVG(%s) FROM %I`, column, this.tableName);
-
-        const rows = await this.#__execute(sql);
+        const row = await this.#__aggregate("AVG", column);
 
         if (typeof precision === "number") {
-            return parseFloat(parseFloat(rows[0].avg).toFixed(parseInt(precision)));
+            return parseFloat(parseFloat(row.avg).toFixed(parseInt(precision)));
         }
 
-        return parseFloat(rows[0].avg);
+        return parseFloat(row.avg);
     }
 
     /**
@@ -856,13 +2136,11 @@ class TableQueryBuilder extends QueryBuilder {
     async min(column) {
         validateSQLName(column);
 
-        const sql = format(`SELECT MIN(%s) FROM %I`, column, this.tableName);
+        const row = await this.#__aggregate("MIN", column);
 
-        const rows = await this.#__execute(sql);
-
-        return /^\d+(\.\d+)?$/.test(rows[0].min)
-            ? parseFloat(rows[0].min)
-            : rows[0].min;
+        return /^\d+(\.\d+)?$/.test(row.min)
+            ? parseFloat(row.min)
+            : row.min;
     }
 
     /**
@@ -874,49 +2152,119 @@ class TableQueryBuilder extends QueryBuilder {
     async max(column) {
         validateSQLName(column);
 
-        const sql = format(`SELECT MAX(%s) FROM %I`, column, this.tableName);
-
-        const rows = await this.#__execute(sql);
+        const row = await this.#__aggregate("MAX", column);
 
-        return /^\d+(\.\d+)?$/.test(rows[0].max)
-            ? parseFloat(rows[0].max)
-            : rows[0].max;
+        return /^\d+(\.\d+)?$/.test(row.max)
+            ? parseFloat(row.max)
+            : row.max;
     }
 
     /**
-     * Returns the first item in the table
+     * Returns the first item in the table. Respects the WHERE, JOIN and ORDER BY clauses of the query.
      * @returns the very first row in the table
      */
     async first() {
-        const sql = format(`SELECT * FROM %I LIMIT 1`, this.tableName);
+        if (!this.sql.select) this.select();
+
+        this.limit(1);
+        this.#__scope();
+
+        const [sql, bindings] = this.#__compile();
+        const relations = this._with;
 
-        const rows = await this.#__execute(sql);
+        const rows = await this.#__load(await this.#__read(sql, bindings), relations);
 
         return rows[0];
     }
 
     /**
-     * Returns the last item in the table
+     * Returns the last item in the table. Respects the WHERE, JOIN and ORDER BY clauses of the query.
+     * The ORDER BY clause is reversed to read only the last row. Without one, the rows are ordered
+     * by the primary keys, or all of them are read if the table has none.
      * @returns the last row in a given table
+     * @throws {Error} If the query is ordered by `orderByRaw`, which can't be reversed.
      */
     async last() {
-        const hasPrimaryKeys = await this.model.getPrimaryKeys(this.tableName);
-        let obj;
+        if (!this.sql.select) this.select();
 
-        if (hasPrimaryKeys.length) {
-            const sql = format(
-                `SELECT * FROM %I ORDER BY (%s) DESC LIMIT 1`,
-                this.tableName,
-                hasPrimaryKeys.map((col) => col.column_name)
-            );
+        this.#__scope();
 
-            obj = await this.#__execute(sql);
+        if (this._order.length) {
+            this.#__reverseOrder();
         } else {
-            obj = await this.select().get();
+            const primaryKeys = await this.model.getPrimaryKeys(this.tableName, !this._primary);
+
+            if (!primaryKeys.length) return (await this.get()).at(-1);
+
+            this.orderByRaw(
+                format(
+                    `(%s) DESC`,
+                    primaryKeys.map((col) => format(`%I.%I`, this.tableName, col.column_name))
+                )
+            );
         }
 
-        return obj[obj.length - 1];
+        this.limit(1);
+
+        const [sql, bindings] = this.#__compile();
+        const relations = this._with;
+
+        const rows = await this.#__load(await this.#__read(sql, bindings), relations);
+
+        return rows[0];
+    }
+
+    /**
+     * Flips the direction of every ordered column, and where their nulls go if it was given.
+     * @throws {Error} If a column was ordered by `orderByRaw`.
+     */
+    #__reverseOrder() {
+        const opposites = { asc: "desc", desc: "asc", first: "last", last: "first" };
+
+        if (this._order.some((entry) => entry.raw !== undefined))
+            throw new Error(`"last" method can't reverse an order made by "orderByRaw"`);
+
+        this._order = this._order.map((entry) => ({
+            ...entry,
+            order: opposites[entry.order],
+            nulls: entry.nulls && opposites[entry.nulls],
+        }));
+        this.#__setOrder();
     }
 }
 
+// These methods can check out clients several times, e.g. to read the schema of the table first,
+// so they run as one operation that `close()` waits for
+for (const method of [
+    "get",
+    "paginate",
+    "cursorPaginate",
+    "delete",
+    "forceDelete",
+    "restore",
+    "insert",
+    "update",
+    "upsert",
+    "add",
+    "modify",
+    "rename",
+    "del",
+    "dropConstraint",
+    "createIndex",
+    "dropIndex",
+    "count",
+    "sum",
+    "avg",
+    "min",
+    "max",
+    "first",
+    "last",
+]) {
+    const fn = TableQueryBuilder.prototype[method];
+
+    TableQueryBuilder.prototype[method] = async function (...args) {
+        return await this.model.operation(() => fn.apply(this, args));
+    };
+}
+
 export { TableQueryBuilder };
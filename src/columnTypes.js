@@ -0,0 +1,257 @@
+import format from "pg-format";
+import { Expression } from "./expressions.js";
+
+/**
+ * Column types that create an auto incremented primary key.
+ */
+const primaryKeyTypes = ["pk", "bigserial", "identity"];
+
+const numericTypes = [
+    "smallint",
+    "integer",
+    "bigint",
+    "decimal",
+    "numeric",
+    "real",
+    "double precision",
+];
+
+const timestampTypes = ["timestamp without time zone", "timestamp with time zone"];
+
+/**
+ * The `data_type` values of information_schema that PostgreSQL can convert into each column type
+ * without a USING expression, i.e. the types with an implicit or assignment cast into it.
+ * `null` means any type can be converted. Arrays are converted by their element types.
+ */
+const convertibleTypes = {
+    string: null,
+    text: null,
+    int: numericTypes,
+    bigint: numericTypes,
+    smallint: numericTypes,
+    float: numericTypes,
+    numeric: numericTypes,
+    boolean: ["boolean"],
+    uuid: ["uuid"],
+    json: ["json", "jsonb"],
+    jsonb: ["json", "jsonb"],
+    bytea: ["bytea"],
+    inet: ["inet", "cidr"],
+    date: ["date", ...timestampTypes],
+    time: ["time without time zone", "time with time zone", "interval", ...timestampTypes],
+    timestamp: ["date", ...timestampTypes],
+    timestamptz: ["date", ...timestampTypes],
+    enum: ["USER-DEFINED"],
+};
+
+/**
+ * The `data_type` and `udt_name` values of information_schema for each column type.
+ */
+const schemaTypes = {
+    pk: ["integer", "int4"],
+    bigserial: ["bigint", "int8"],
+    identity: ["integer", "int4"],
+    int: ["integer", "int4"],
+    bigint: ["bigint", "int8"],
+    smallint: ["smallint", "int2"],
+    float: ["numeric", "numeric"],
+    numeric: ["numeric", "numeric"],
+    string: ["character varying", "varchar"],
+    text: ["text", "text"],
+    boolean: ["boolean", "bool"],
+    uuid: ["uuid", "uuid"],
+    json: ["json", "json"],
+    jsonb: ["jsonb", "jsonb"],
+    bytea: ["bytea", "bytea"],
+    inet: ["inet", "inet"],
+    date: ["date", "date"],
+    time: ["time without time zone", "time"],
+    timestamp: ["timestamp without time zone", "timestamp"],
+    timestamptz: ["timestamp with time zone", "timestamptz"],
+};
+
+/**
+ * Maps a column type of the query builders to a PostgreSQL data type.
+ * @param {object} columnData The object containing column data.
+ * @param {string} columnData.type The type of the column. Supported types: 'string', 'text', 'int',
+ * 'bigint', 'smallint', 'float', 'numeric', 'boolean', 'uuid', 'json', 'jsonb', 'bytea', 'inet',
+ * 'date', 'time', 'timestamp', 'timestamptz', 'enum', 'pk', 'bigserial' and 'identity'.
+ * Any of the non key types can be turned into an array by appending "[]", e.g. 'int[]'.
+ * @param {number} [columnData.length] The maximum length for 'string' type columns.
+ * @param {number} [columnData.precision] The total number of digits for 'float' and 'numeric' type columns.
+ * @param {number} [columnData.scale] The number of digits to the right of the decimal point for 'float' and 'numeric' type columns.
+ * @param {string} [columnData.enumName] The name of an existing enum type for 'enum' type columns.
+ * @param {boolean} [columnData.always=false] Whether an 'identity' column is GENERATED ALWAYS instead of BY DEFAULT.
+ * @returns {string} The PostgreSQL data type.
+ * @throws {Error} If the type is not supported or its required options are missing.
+ */
+const columnType = (columnData) => {
+    const { length, precision, scale, enumName, always } = columnData;
+    const type = columnData.type.toLowerCase();
+
+    if (type.endsWith("[]")) {
+        const elementType = type.slice(0, -2);
+
+        if (primaryKeyTypes.includes(elementType))
+            throw new Error(`Primary key types can not be arrays`);
+
+        return `${columnType({ ...columnData, type: elementType })}[]`;
+    }
+
+    switch (type) {
+        case "string": {
+            if (!length) throw new Error("String type requires max length");
+
+            return `VARCHAR(${length})`;
+        }
+        case "float": {
+            if (!precision || !scale)
+                throw new Error("Float type requires max and min");
+
+            return `DECIMAL(${precision}, ${scale})`;
+        }
+        case "numeric": {
+            if (!precision) return "NUMERIC";
+
+            return scale !== undefined
+                ? `NUMERIC(${precision}, ${scale})`
+                : `NUMERIC(${precision})`;
+        }
+        case "enum": {
+            if (!enumName) throw new Error("Enum type requires the name of the enum");
+
+            return format("%I", enumName);
+        }
+        case "pk": {
+            return "SERIAL PRIMARY KEY";
+        }
+        case "bigserial": {
+            return "BIGSERIAL PRIMARY KEY";
+        }
+        case "identity": {
+            return `INT GENERATED ${always ? "ALWAYS" : "BY DEFAULT"} AS IDENTITY PRIMARY KEY`;
+        }
+        case "int":
+        case "bigint":
+        case "smallint":
+        case "text":
+        case "boolean":
+        case "uuid":
+        case "json":
+        case "jsonb":
+        case "bytea":
+        case "inet":
+        case "timestamp":
+        case "timestamptz":
+        case "time":
+        case "date":
+            return type.toUpperCase();
+        default:
+            throw new Error(`Unsupported data type: ${type}`);
+    }
+};
+
+/**
+ * Checks whether PostgreSQL can convert a column into a column type without a USING expression.
+ * @param {string} type The column type to convert into.
+ * @param {string} dataType The current `data_type` of the column from information_schema.
+ * @param {string} [udtName] The current `udt_name` of the column, which tells the element type of arrays.
+ * @returns {boolean} `true` if the column can be converted.
+ * @throws {Error} If columns can not be converted into the type at all.
+ */
+const isConvertible = (type, dataType, udtName) => {
+    type = type.toLowerCase();
+
+    if (type.endsWith("[]")) {
+        const elementType = type.slice(0, -2);
+
+        if (convertibleTypes[elementType] === undefined) throw new Error(`Unsupported data type: ${type}.`);
+        if (dataType !== "ARRAY") return false;
+
+        // The udt_name of an array is the one of its element type prefixed with "_", e.g. "_int4"
+        const element = Object.values(schemaTypes).find(([, udt]) => `_${udt}` === udtName);
+
+        return isConvertible(elementType, element?.[0]);
+    }
+
+    const sourceTypes = convertibleTypes[type];
+
+    if (sourceTypes === undefined) throw new Error(`Unsupported data type: ${type}.`);
+
+    return sourceTypes === null || sourceTypes.includes(dataType);
+};
+
+/**
+ * Returns how information_schema describes a column of the given type.
+ * @param {object} columnData The object containing column data, same as for `columnType`.
+ * @returns {{ data_type: string, udt_name: string }} The `data_type` and `udt_name` of the column.
+ * @throws {Error} If the type is not supported.
+ */
+const schemaType = (columnData) => {
+    const type = columnData.type.toLowerCase();
+
+    if (type.endsWith("[]")) {
+        const { udt_name } = schemaType({ ...columnData, type: type.slice(0, -2) });
+
+        return { data_type: "ARRAY", udt_name: `_${udt_name}` };
+    }
+
+    if (type === "enum") return { data_type: "USER-DEFINED", udt_name: columnData.enumName };
+
+    if (!schemaTypes[type]) throw new Error(`Unsupported data type: ${type}`);
+
+    const [data_type, udt_name] = schemaTypes[type];
+
+    return { data_type, udt_name };
+};
+
+/**
+ * Turns a row of `Model.getSchemaData` back into the column data the query builders accept.
+ * @param {object} row The information_schema description of the column.
+ * @returns {object|null} The column data, or null if the type of the column isn't supported.
+ */
+const columnFromSchema = (row) => {
+    const { column_name: name, column_default, is_nullable, data_type, udt_name } = row;
+    const serial = /^nextval\(/.test(column_default ?? "");
+
+    const columnData = (() => {
+        if (serial && data_type === "integer") return { name, type: "pk" };
+        if (serial && data_type === "bigint") return { name, type: "bigserial" };
+
+        if (data_type === "USER-DEFINED") return { name, type: "enum", enumName: udt_name };
+
+        if (data_type === "ARRAY") {
+            const element = columnFromSchema({ ...row, data_type: null, udt_name: udt_name.slice(1) });
+
+            return element && { ...element, type: `${element.type}[]` };
+        }
+
+        const type = Object.keys(schemaTypes).find((type) => {
+            if (primaryKeyTypes.includes(type) || type === "float") return false;
+
+            const [dataType, udtName] = schemaTypes[type];
+            return data_type ? dataType === data_type : udtName === udt_name;
+        });
+
+        if (!type) return null;
+        if (type === "string" && !row.character_maximum_length) return { name, type: "text" };
+        if (type === "string") return { name, type, length: row.character_maximum_length };
+
+        if (type === "numeric" && row.numeric_precision)
+            return { name, type, precision: row.numeric_precision, scale: row.numeric_scale ?? 0 };
+
+        return { name, type };
+    })();
+
+    if (!columnData || primaryKeyTypes.includes(columnData.type)) return columnData;
+
+    return {
+        ...columnData,
+        nullable: is_nullable !== "NO",
+        ...(column_default !== null && column_default !== undefined
+            ? { defaultValue: new Expression(column_default) }
+            : {}),
+    };
+};
+
+export { columnType, isConvertible, primaryKeyTypes, schemaType, columnFromSchema };
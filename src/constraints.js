@@ -0,0 +1,190 @@
+import format from "pg-format";
+import { validateSQLName } from "./validation.js";
+
+const referentialActions = ["cascade", "restrict", "set null", "set default", "no action"];
+
+/**
+ * @param {Constraint} constraint The constraint to check.
+ * @throws {Error} If the constraint doesn't cover any column.
+ */
+const requireColumns = (constraint) => {
+    if (!constraint.columns.length) throw new Error(`The constraint needs at least one column`);
+};
+
+class Constraint {
+    /**
+     * @param {string} name The name of the constraint.
+     * @param {string|Array<string>} [columns=[]] The columns the constraint covers.
+     */
+    constructor(name, columns = []) {
+        this.columns = Array.isArray(columns) ? columns : [columns];
+        this.name = name;
+
+        if (this.columns.length) validateSQLName(...this.columns);
+    }
+
+    /**
+     * Sets the name of the constraint. By default it's named like PostgreSQL would name it,
+     * e.g. `posts_user_id_fkey`. Check constraints are left for PostgreSQL to name, since a table
+     * can have several of them.
+     * @param {string} name The name of the constraint.
+     * @returns {Constraint} The current instance of the Constraint.
+     */
+    named(name) {
+        validateSQLName(name);
+
+        this.name = name;
+        return this;
+    }
+
+    /**
+     * Returns the definition of the constraint for CREATE TABLE and ALTER TABLE ADD statements.
+     * @returns {string} The constraint definition.
+     */
+    toSql() {
+        if (this.name === null) return this.definition();
+
+        return format(`CONSTRAINT %I %s`, this.name, this.definition());
+    }
+}
+
+class PrimaryKey extends Constraint {
+    /**
+     * @param {string} tableName The name of the table.
+     * @param {string|Array<string>} columns The columns of the primary key.
+     */
+    constructor(tableName, columns) {
+        super(`${tableName}_pkey`, columns);
+        requireColumns(this);
+    }
+
+    definition() {
+        return format(`PRIMARY KEY (%I)`, this.columns);
+    }
+}
+
+class Unique extends Constraint {
+    /**
+     * @param {string} tableName The name of the table.
+     * @param {string|Array<string>} columns The columns whose combined values have to be unique.
+     */
+    constructor(tableName, columns) {
+        super(`${tableName}_${[columns].flat().join("_")}_key`, columns);
+        requireColumns(this);
+    }
+
+    definition() {
+        return format(`UNIQUE (%I)`, this.columns);
+    }
+}
+
+class Check extends Constraint {
+    /**
+     * @param {string} tableName The name of the table.
+     * @param {string} expression The boolean sql expression. It isn't escaped.
+     */
+    constructor(tableName, expression) {
+        if (typeof expression !== "string" || !expression.trim())
+            throw new Error(`The check constraint needs an expression`);
+
+        // Left for PostgreSQL to name after the table and the column it checks
+        super(null);
+        this.expression = expression;
+    }
+
+    definition() {
+        return `CHECK (${this.expression})`;
+    }
+}
+
+class ForeignKey extends Constraint {
+    /**
+     * @param {string} tableName The name of the table.
+     * @param {string|Array<string>} columns The referencing columns.
+     */
+    constructor(tableName, columns) {
+        super(`${tableName}_${[columns].flat().join("_")}_fkey`, columns);
+        requireColumns(this);
+        this.referencedTable = null;
+        this.referencedColumns = [];
+        this.actions = {};
+    }
+
+    /**
+     * Sets the referenced table and columns.
+     * @param {string} target Either "table.column" or the name of the table.
+     * @param {string|Array<string>} [columns] The referenced columns, if the target is only a table.
+     * @returns {ForeignKey} The current instance of the ForeignKey.
+     */
+    references(target, columns) {
+        if (columns === undefined) {
+            const parts = target.split(".");
+
+            if (parts.length !== 2)
+                throw new Error(`The referenced column must be in the "table.column" format`);
+
+            [target, columns] = parts;
+        }
+
+        columns = Array.isArray(columns) ? columns : [columns];
+
+        if (columns.length !== this.columns.length)
+            throw new Error(`The number of referencing and referenced columns doesn't match`);
+
+        validateSQLName(target, ...columns);
+
+        this.referencedTable = target;
+        this.referencedColumns = columns;
+
+        return this;
+    }
+
+    /**
+     * Sets what happens to the rows when the referenced row is deleted.
+     * @param {string} action One of "cascade", "restrict", "set null", "set default" or "no action".
+     * @returns {ForeignKey} The current instance of the ForeignKey.
+     */
+    onDelete(action) {
+        return this.#__action("delete", action);
+    }
+
+    /**
+     * Sets what happens to the rows when the referenced row is updated.
+     * @param {string} action One of "cascade", "restrict", "set null", "set default" or "no action".
+     * @returns {ForeignKey} The current instance of the ForeignKey.
+     */
+    onUpdate(action) {
+        return this.#__action("update", action);
+    }
+
+    #__action(event, action) {
+        action = String(action).toLowerCase();
+
+        if (!referentialActions.includes(action))
+            throw new Error(
+                `Unsupported referential action: ${action}. Use one of ${referentialActions.join(", ")}`
+            );
+
+        this.actions[event] = action;
+        return this;
+    }
+
+    definition() {
+        if (!this.referencedTable)
+            throw new Error(`The foreign key on (${this.columns}) doesn't reference any table`);
+
+        const actions = Object.entries(this.actions).map(([event, action]) =>
+            `ON ${event.toUpperCase()} ${action.toUpperCase()}`
+        );
+
+        return format(
+            `FOREIGN KEY (%I) REFERENCES %I (%I)%s`,
+            this.columns,
+            this.referencedTable,
+            this.referencedColumns,
+            actions.length ? ` ${actions.join(" ")}` : ""
+        );
+    }
+}
+
+export { Constraint, PrimaryKey, Unique, Check, ForeignKey };
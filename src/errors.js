@@ -0,0 +1,121 @@
+/**
+ * Thrown when names, values or options given to CommandORM are invalid, before anything runs.
+ * The fields describe what's wrong, e.g. `{ reason: "missing-columns", table: "users", columns: ["name"] }`.
+ */
+class ValidationError extends Error {
+    /**
+     * @param {string} message The message of the error.
+     * @param {object} [fields={}] The structured details of the error, assigned to the error itself.
+     * @param {string} [fields.reason] What kind of validation failed.
+     */
+    constructor(message, fields = {}) {
+        super(message);
+        this.name = "ValidationError";
+        Object.assign(this, fields);
+    }
+}
+
+/**
+ * Thrown when PostgreSQL rejects a query. Keeps the pg error as `cause`, along with its
+ * `code`, `detail`, `hint`, `schema`, `table`, `column` and `constraint`,
+ * and the `sql` and `bindings` of the query that failed.
+ */
+class DatabaseError extends Error {
+    /**
+     * @param {Error} cause The error pg threw.
+     * @param {object} [query] The query that failed.
+     * @param {string} [query.sql] The sql of the query.
+     * @param {Array<any>} [query.bindings] The values of the query.
+     */
+    constructor(cause, { sql, bindings } = {}) {
+        super(cause.message ?? "Oops something went wrong", { cause });
+        this.name = this.constructor.name;
+
+        for (const field of ["code", "detail", "hint", "schema", "table", "column", "constraint"]) {
+            this[field] = cause[field];
+        }
+
+        this.sql = sql;
+        this.bindings = bindings;
+    }
+}
+
+class UniqueViolationError extends DatabaseError {}
+
+class ForeignKeyViolationError extends DatabaseError {}
+
+class NotNullViolationError extends DatabaseError {}
+
+class CheckViolationError extends DatabaseError {}
+
+class DeadlockError extends DatabaseError {}
+
+class SerializationFailureError extends DatabaseError {}
+
+/**
+ * Thrown when the database can't be reached or drops the connection.
+ */
+class ConnectionError extends DatabaseError {}
+
+// The SQLSTATE codes of the errors with a class of their own
+const errorClasses = {
+    23505: UniqueViolationError,
+    23503: ForeignKeyViolationError,
+    23502: NotNullViolationError,
+    23514: CheckViolationError,
+    "40P01": DeadlockError,
+    40001: SerializationFailureError,
+};
+
+// The codes of the network errors node throws when a socket fails
+const networkCodes = ["ECONNREFUSED", "ECONNRESET", "ETIMEDOUT", "ENOTFOUND", "EPIPE", "EHOSTUNREACH"];
+
+/**
+ * Checks whether an error means the connection to the database failed.
+ * @param {Error} error The error to check.
+ * @returns {boolean} `true` if it's a connection error.
+ */
+const isConnectionError = (error) => {
+    const code = String(error.code ?? "");
+
+    return (
+        code.startsWith("08") ||
+        ["57P01", "57P02", "57P03"].includes(code) ||
+        networkCodes.includes(code) ||
+        /connection terminated|timeout exceeded when trying to connect/i.test(error.message ?? "")
+    );
+};
+
+/**
+ * Turns an error thrown while querying into a DatabaseError of the matching class.
+ * Errors of CommandORM itself and errors that don't come from the database are returned as they are.
+ * @param {Error} error The error that was thrown.
+ * @param {object} [query] The query that failed, with its `sql` and `bindings`.
+ * @returns {Error} The error to rethrow.
+ */
+const toDatabaseError = (error, query) => {
+    if (typeof error !== "object" || error === null) return error;
+    if (error instanceof DatabaseError || error instanceof ValidationError) return error;
+
+    if (isConnectionError(error)) return new ConnectionError(error, query);
+
+    // pg errors carry a SQLSTATE code, which is always 5 characters long
+    if (typeof error.code !== "string" || error.code.length !== 5) return error;
+
+    const ErrorClass = errorClasses[error.code] ?? DatabaseError;
+
+    return new ErrorClass(error, query);
+};
+
+export {
+    ValidationError,
+    DatabaseError,
+    UniqueViolationError,
+    ForeignKeyViolationError,
+    NotNullViolationError,
+    CheckViolationError,
+    DeadlockError,
+    SerializationFailureError,
+    ConnectionError,
+    toDatabaseError,
+};
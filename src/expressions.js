@@ -0,0 +1,85 @@
+import format from "pg-format";
+import { validateSQLName } from "./validation.js";
+
+class Expression {
+    /**
+     * @param {string} sql The sql of the expression. Values go through "?" placeholders.
+     * @param {Array<any>} [bindings=[]] The values for the "?" placeholders.
+     */
+    constructor(sql, bindings = []) {
+        this.sql = sql;
+        this.bindings = bindings;
+        this.alias = null;
+    }
+
+    /**
+     * Sets the name the expression is selected as.
+     * @param {string} alias The alias of the expression.
+     * @returns {Expression} The current instance of the Expression.
+     */
+    as(alias) {
+        validateSQLName(alias);
+
+        this.alias = alias;
+        return this;
+    }
+}
+
+/**
+ * Creates an aggregate function call expression.
+ * @param {string} fn The name of the aggregate function.
+ * @param {string} column The column to aggregate. Can be prefixed with a table name.
+ * @returns {Expression} The aggregate expression.
+ */
+const aggregate = (fn, column) => {
+    validateSQLName(column);
+
+    const identifier = column
+        .trim()
+        .split(".")
+        .map((part) => (part === "*" ? part : format("%I", part)))
+        .join(".");
+
+    return new Expression(`${fn}(${identifier})`);
+};
+
+/**
+ * Creates a raw sql expression. The sql isn't escaped, so values must be passed through
+ * the "?" placeholders.
+ * @param {string} sql The sql of the expression.
+ * @param {Array<any>} [bindings=[]] The values for the "?" placeholders.
+ * @returns {Expression} The raw expression.
+ */
+const raw = (sql, bindings = []) => new Expression(sql, bindings);
+
+/**
+ * @param {string} [column="*"] The column to count.
+ * @returns {Expression} A COUNT expression.
+ */
+const count = (column = "*") => aggregate("COUNT", column);
+
+/**
+ * @param {string} column The column to sum.
+ * @returns {Expression} A SUM expression.
+ */
+const sum = (column) => aggregate("SUM", column);
+
+/**
+ * @param {string} column The column to average out.
+ * @returns {Expression} An AVG expression.
+ */
+const avg = (column) => aggregate("AVG", column);
+
+/**
+ * @param {string} column The column to find the lowest value of.
+ * @returns {Expression} A MIN expression.
+ */
+const min = (column) => aggregate("MIN", column);
+
+/**
+ * @param {string} column The column to find the largest value of.
+ * @returns {Expression} A MAX expression.
+ */
+const max = (column) => aggregate("MAX", column);
+
+export { Expression, raw, count, sum, avg, min, max };
@@ -1,4 +1,41 @@
 import { Model } from "./Model.js";
 import { CSVDatabase } from "./CSVDatabase.js";
+import { Entity } from "./Entity.js";
+import { hasOne, hasMany, belongsTo, belongsToMany } from "./relations.js";
+import { raw, count, sum, avg, min, max } from "./expressions.js";
+import {
+    ValidationError,
+    DatabaseError,
+    UniqueViolationError,
+    ForeignKeyViolationError,
+    NotNullViolationError,
+    CheckViolationError,
+    DeadlockError,
+    SerializationFailureError,
+    ConnectionError,
+} from "./errors.js";
 
-export { Model, CSVDatabase }
\ No newline at end of file
+export {
+    Model,
+    CSVDatabase,
+    Entity,
+    hasOne,
+    hasMany,
+    belongsTo,
+    belongsToMany,
+    raw,
+    count,
+    sum,
+    avg,
+    min,
+    max,
+    ValidationError,
+    DatabaseError,
+    UniqueViolationError,
+    ForeignKeyViolationError,
+    NotNullViolationError,
+    CheckViolationError,
+    DeadlockError,
+    SerializationFailureError,
+    ConnectionError,
+};
@@ -1,3 +1,5 @@
+import { Expression } from './expressions.js';
+
 export class QueryBuilder {
     constructor() {
         this._select = [];
@@ -37,21 +39,52 @@ export class QueryBuilder {
     }
 
     /**
-     * Specifies the columns to order by.
-     * @param  {...string} columns The columns to order by.
+     * Adds columns to order by. Every call appends to the previous ones, calling it with no arguments clears them.
+     * Can be called as `orderBy('a', 'b')`, `orderBy('a', 'desc', 'nulls last')`
+     * or with objects like `orderBy({ column: 'a', order: 'desc', nulls: 'first' })`.
+     * @param  {...(string|object|Expression)} args The columns to order by, or a column followed by its direction
+     * and optionally by where the nulls go.
      * @returns {QueryBuilder} The QueryBuilder instance.
+     * @throws {Error} If the direction or the nulls position is invalid.
      */
-    orderBy(...columns) {
-        this._order = columns?.length ? columns.filter((col) => col !== '*') : ['*'];
+    orderBy(...args) {
+        if (!args.length) {
+            this._order = [];
+            return this;
+        }
+
+        const isDirection = ['asc', 'desc'].includes(String(args[1]).toLowerCase());
+
+        const entries = isDirection && args.length <= 3
+            ? [{ column: args[0], order: args[1], nulls: args[2] }]
+            : args.flat()
+                .filter((col) => col !== '*')
+                .map((col) => (typeof col === 'string' || col instanceof Expression ? { column: col } : col));
+
+        for (const { column, order = 'asc', nulls } of entries) {
+            if (!['asc', 'desc'].includes(order.toLowerCase()))
+                throw new Error(`Order direction must be either "asc" or "desc"`);
+
+            const nullsPosition = nulls?.toLowerCase().replace(/^nulls\s+/, '');
+
+            if (nulls !== undefined && !['first', 'last'].includes(nullsPosition))
+                throw new Error(`Nulls position must be either "first" or "last"`);
+
+            this._order.push({ column, order: order.toLowerCase(), nulls: nullsPosition });
+        }
+
         return this;
     }
 
     /**
-     * Specifies that the order should be descending.
+     * Sets the order of the last column passed to `orderBy` to descending.
+     * Without `orderBy`, the rows come in reverse order.
      * @returns {QueryBuilder} The QueryBuilder instance.
      */
     desc() {
-        this._desc = true;
+        if (this._order.length) this._order[this._order.length - 1].order = 'desc';
+        else this._desc = true;
+
         return this;
     }
 
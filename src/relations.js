@@ -0,0 +1,207 @@
+import format from "pg-format";
+import { raw } from "./expressions.js";
+
+// The alias the pivot key of a belongsToMany query is selected as
+const PIVOT_KEY = "__pivot_key";
+
+/**
+ * Turns the name of an entity class into a column prefix, e.g. "BlogPost" into "blog_post".
+ * @param {string} name The name of the class.
+ * @returns {string} The snake cased name.
+ */
+const snakeCase = (name) => name.replace(/([a-z\d])([A-Z])/g, "$1_$2").toLowerCase();
+
+/**
+ * Groups entities by the value of one of their attributes. Values are compared as strings,
+ * since keys may come back as numbers on one side and as strings on the other.
+ * @param {Array<Entity>} entities The entities to group.
+ * @param {string} key The attribute to group by.
+ * @returns {Map<string, Array<Entity>>} The entities keyed by the attribute.
+ */
+const groupBy = (entities, key) => {
+    const groups = new Map();
+
+    for (const entity of entities) {
+        const value = String(entity[key]);
+
+        if (!groups.has(value)) groups.set(value, []);
+        groups.get(value).push(entity);
+    }
+
+    return groups;
+};
+
+/**
+ * Returns the distinct non null values of an attribute.
+ * @param {Array<Entity>} entities The entities to read from.
+ * @param {string} key The attribute to read.
+ * @returns {Array<any>} The values.
+ */
+const keysOf = (entities, key) => [
+    ...new Set(entities.map((entity) => entity[key]).filter((value) => value !== null && value !== undefined)),
+];
+
+class Relation {
+    /**
+     * @param {Entity|function(): Entity} target The related entity class, or a function that returns it,
+     * which lets entities that import each other relate to each other.
+     * @param {object} [options={}] The keys of the relation.
+     */
+    constructor(target, options = {}) {
+        this.target = target;
+        this.options = options;
+    }
+
+    /**
+     * The related entity class.
+     * @returns {Entity}
+     */
+    get related() {
+        return this.target.hydrate instanceof Function ? this.target : this.target();
+    }
+
+    /**
+     * Loads the relation of several entities at once.
+     * @param {Entity} parent The entity class the relation is declared on.
+     * @param {Array<Entity>} entities The entities to load the relation of.
+     * @param {Model|Transaction} model The model or transaction to query through.
+     * @param {Array<string>} nested The relations of the related entities to load as well.
+     * @returns {Promise<Array<any>>} The related value of each entity, in the same order.
+     */
+    async load(parent, entities, model, nested) {
+        throw new Error(`${this.constructor.name} relation doesn't implement load`);
+    }
+}
+
+class HasMany extends Relation {
+    /**
+     * Picks the related value out of the related entities of one entity.
+     * @param {Array<Entity>} group The related entities.
+     * @returns {Array<Entity>} The related entities.
+     */
+    pick(group) {
+        return group;
+    }
+
+    async load(parent, entities, model, nested) {
+        const { related } = this;
+        const { foreignKey = `${snakeCase(parent.name)}_id`, localKey = parent.primaryKey } = this.options;
+        const keys = keysOf(entities, localKey);
+
+        const rows = keys.length
+            ? await related.query(model).whereIn(foreignKey, keys).with(...nested).get()
+            : [];
+        const groups = groupBy(rows, foreignKey);
+
+        return entities.map((entity) => this.pick(groups.get(String(entity[localKey])) ?? []));
+    }
+}
+
+class HasOne extends HasMany {
+    pick(group) {
+        return group[0] ?? null;
+    }
+}
+
+class BelongsTo extends Relation {
+    async load(parent, entities, model, nested) {
+        const { related } = this;
+        const { foreignKey = `${snakeCase(related.name)}_id`, ownerKey = related.primaryKey } = this.options;
+        const keys = keysOf(entities, foreignKey);
+
+        const rows = keys.length
+            ? await related.query(model).whereIn(ownerKey, keys).with(...nested).get()
+            : [];
+        const groups = groupBy(rows, ownerKey);
+
+        return entities.map((entity) => groups.get(String(entity[foreignKey]))?.[0] ?? null);
+    }
+}
+
+class BelongsToMany extends Relation {
+    constructor(target, options = {}) {
+        if (!options.table) throw new Error("belongsToMany relation requires the pivot table");
+
+        super(target, options);
+    }
+
+    async load(parent, entities, model, nested) {
+        const { related } = this;
+        const {
+            table,
+            foreignPivotKey = `${snakeCase(parent.name)}_id`,
+            relatedPivotKey = `${snakeCase(related.name)}_id`,
+            parentKey = parent.primaryKey,
+            relatedKey = related.primaryKey,
+        } = this.options;
+        const keys = keysOf(entities, parentKey);
+
+        const rows = keys.length
+            ? await related
+                  .query(model)
+                  .select(
+                      raw(format(`%I.*`, related.table)),
+                      raw(format(`%I.%I`, table, foreignPivotKey)).as(PIVOT_KEY)
+                  )
+                  .innerJoin(table, `${table}.${relatedPivotKey}`, `${related.table}.${relatedKey}`)
+                  .whereIn(`${table}.${foreignPivotKey}`, keys)
+                  .with(...nested)
+                  .get()
+            : [];
+        const groups = groupBy(rows, PIVOT_KEY);
+
+        for (const row of rows) delete row[PIVOT_KEY];
+
+        return entities.map((entity) => groups.get(String(entity[parentKey])) ?? []);
+    }
+}
+
+/**
+ * Declares that each entity has one related entity, whose table references the entity.
+ * The relation resolves to null if there's no related entity.
+ * @param {Entity|function(): Entity} target The related entity class, or a function that returns it.
+ * @param {object} [options] The keys of the relation, same as for `hasMany`.
+ * @returns {HasOne} The relation.
+ */
+const hasOne = (target, options) => new HasOne(target, options);
+
+/**
+ * Declares that each entity has many related entities, whose table references the entity.
+ * @param {Entity|function(): Entity} target The related entity class, or a function that returns it.
+ * @param {object} [options] The keys of the relation.
+ * @param {string} [options.foreignKey] The column of the related table that references the entity.
+ * Defaults to the snake cased name of the entity class followed by "_id", e.g. "user_id".
+ * @param {string} [options.localKey] The column it references. Defaults to the primary key of the entity.
+ * @returns {HasMany} The relation.
+ */
+const hasMany = (target, options) => new HasMany(target, options);
+
+/**
+ * Declares that each entity references one related entity.
+ * The relation resolves to null if there's no related entity.
+ * @param {Entity|function(): Entity} target The related entity class, or a function that returns it.
+ * @param {object} [options] The keys of the relation.
+ * @param {string} [options.foreignKey] The column of the entity that references the related table.
+ * Defaults to the snake cased name of the related class followed by "_id".
+ * @param {string} [options.ownerKey] The column it references. Defaults to the primary key of the related entity.
+ * @returns {BelongsTo} The relation.
+ */
+const belongsTo = (target, options) => new BelongsTo(target, options);
+
+/**
+ * Declares that entities relate to many related entities through a pivot table.
+ * @param {Entity|function(): Entity} target The related entity class, or a function that returns it.
+ * @param {object} options The pivot table and the keys of the relation.
+ * @param {string} options.table The pivot table.
+ * @param {string} [options.foreignPivotKey] The column of the pivot table that references the entity.
+ * Defaults to the snake cased name of the entity class followed by "_id".
+ * @param {string} [options.relatedPivotKey] The column of the pivot table that references the related entity.
+ * Defaults to the snake cased name of the related class followed by "_id".
+ * @param {string} [options.parentKey] The column the foreign pivot key references. Defaults to the primary key of the entity.
+ * @param {string} [options.relatedKey] The column the related pivot key references. Defaults to the primary key of the related entity.
+ * @returns {BelongsToMany} The relation.
+ * @throws {Error} If the pivot table is missing.
+ */
+const belongsToMany = (target, options) => new BelongsToMany(target, options);
+
+export { Relation, HasOne, HasMany, BelongsTo, BelongsToMany, hasOne, hasMany, belongsTo, belongsToMany };
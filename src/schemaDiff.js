@@ -0,0 +1,298 @@
+import format from "pg-format";
+import { validateSQLName } from "./validation.js";
+import { Expression } from "./expressions.js";
+import { TableBuilder, ColumnBuilder } from "./TableBuilder.js";
+import { columnType, schemaType, columnFromSchema, primaryKeyTypes } from "./columnTypes.js";
+
+/**
+ * Turns the sql of a default into comparable text.
+ * Casts such as `::character varying` are dropped and quoted literals are unquoted.
+ * @param {string|null} sql The sql of the default, like `column_default` of information_schema.
+ * @returns {string|null} The normalized default, or null if there's none.
+ */
+const normalizeDefault = (sql) => {
+    if (sql === undefined || sql === null) return null;
+
+    let text = sql.trim();
+
+    while (/::[\w\s"[\]]+$/.test(text)) text = text.replace(/::[\w\s"[\]]+$/, "").trim();
+
+    if (/^'.*'$/s.test(text)) text = text.slice(1, -1).replaceAll("''", "'");
+
+    return text.toLowerCase();
+};
+
+/**
+ * Returns the sql of a declared default value.
+ * @param {*} value The declared default. Expressions are taken as they are, anything else is a literal.
+ * @returns {string|null} The sql of the default, or null if there's none.
+ */
+const defaultSql = (value) => {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Expression) return value.sql;
+    // format.literal renders booleans as 't' and 'f', PostgreSQL reports them as true and false
+    if (typeof value === "boolean") return String(value);
+
+    return format.literal(value);
+};
+
+/**
+ * Lists what differs between a declared column and the live one.
+ * @param {object} column The declared column data.
+ * @param {object} row The live column from `Model.getSchemaData`.
+ * @returns {Array<string>} Any of "type", "nullable" and "default".
+ */
+const columnChanges = (column, row) => {
+    const { data_type, udt_name } = schemaType(column);
+    const type = column.type.toLowerCase();
+    const changes = [];
+
+    const sameType =
+        data_type === row.data_type &&
+        (["ARRAY", "USER-DEFINED"].includes(data_type) ? udt_name === row.udt_name : true) &&
+        (type === "string" ? column.length === row.character_maximum_length : true) &&
+        (["float", "numeric"].includes(type) && column.precision
+            ? column.precision === row.numeric_precision && (column.scale ?? 0) === row.numeric_scale
+            : true);
+
+    if (!sameType) changes.push("type");
+
+    // Serial and identity keys manage their own nullability and default
+    if (primaryKeyTypes.includes(type)) return changes;
+
+    if ((column.nullable === false) !== (row.is_nullable === "NO")) changes.push("nullable");
+    if (normalizeDefault(defaultSql(column.defaultValue)) !== normalizeDefault(row.column_default))
+        changes.push("default");
+
+    return changes;
+};
+
+/**
+ * Compares a declared schema against the live database.
+ * @param {Model} model The model to read the live schema with.
+ * @param {object} declaredSchema The declared tables, see `Model.diffSchema`.
+ * @returns {Promise<Array<object>>} The operations, in the order they have to run.
+ */
+const diffSchema = async (model, declaredSchema) => {
+    const operations = [];
+
+    for (const [table, declaredColumns] of Object.entries(declaredSchema)) {
+        validateSQLName(table);
+
+        const columns = Object.entries(declaredColumns).map(([name, column]) => {
+            validateSQLName(name);
+            columnType({ ...column, name });
+
+            return { name, ...column };
+        });
+
+        if (!(await model.exists(table, false))) {
+            operations.push({
+                op: "createTable",
+                table,
+                columns: columns.map(({ renamedFrom, ...column }) => column),
+            });
+            continue;
+        }
+
+        const rows = await model.getSchemaData(table, false);
+        const live = Object.fromEntries(rows.map((row) => [row.column_name, row]));
+        const renamed = [];
+        const tableOperations = { rename: [], add: [], modify: [], drop: [] };
+
+        for (const { renamedFrom, ...column } of columns) {
+            let row = live[column.name];
+
+            if (!row && renamedFrom && live[renamedFrom]) {
+                row = live[renamedFrom];
+                renamed.push(renamedFrom);
+                tableOperations.rename.push({ op: "rename", table, from: renamedFrom, to: column.name });
+            }
+
+            if (!row) {
+                tableOperations.add.push({ op: "add", table, column });
+                continue;
+            }
+
+            const changes = columnChanges(column, row);
+
+            if (changes.length) {
+                tableOperations.modify.push({
+                    op: "modify",
+                    table,
+                    column: {
+                        ...column,
+                        nullable: column.nullable !== false,
+                        defaultValue: column.defaultValue ?? null,
+                    },
+                    previous: columnFromSchema({ ...row, column_name: column.name }),
+                    changes,
+                });
+            }
+        }
+
+        for (const row of rows) {
+            const name = row.column_name;
+
+            if (!columns.some((column) => column.name === name) && !renamed.includes(name)) {
+                tableOperations.drop.push({
+                    op: "drop",
+                    table,
+                    column: name,
+                    previous: columnFromSchema(row),
+                });
+            }
+        }
+
+        operations.push(...Object.values(tableOperations).flat());
+    }
+
+    return operations;
+};
+
+/**
+ * Renders the operations of `diffSchema` as sql statements.
+ * @param {Array<object>} operations The operations to render.
+ * @returns {string} The sql, one statement per line.
+ */
+const renderSql = (operations) => {
+    const statements = operations.flatMap((operation) => {
+        const { op, table } = operation;
+        const alter = format(`ALTER TABLE %I`, table);
+
+        switch (op) {
+            case "createTable": {
+                const builder = new TableBuilder(table);
+                operation.columns.forEach((column) => builder.column(column));
+
+                return [builder.toSql()];
+            }
+            case "add":
+                return [`${alter} ADD COLUMN ${new ColumnBuilder(operation.column).toSql()}`];
+            case "rename":
+                return [format(`%s RENAME COLUMN %I TO %I`, alter, operation.from, operation.to)];
+            case "drop":
+                return [format(`%s DROP COLUMN %I`, alter, operation.column)];
+            case "modify": {
+                const { column, changes } = operation;
+                const alterColumn = format(`%s ALTER COLUMN %I`, alter, column.name);
+                const sql = [];
+
+                if (changes.includes("type"))
+                    sql.push(
+                        `${alterColumn} TYPE ${columnType(column)}${column.using ? ` USING ${column.using}` : ""}`
+                    );
+                if (changes.includes("nullable"))
+                    sql.push(`${alterColumn} ${column.nullable ? "DROP" : "SET"} NOT NULL`);
+                if (changes.includes("default")) {
+                    const { defaultValue } = column;
+
+                    sql.push(
+                        defaultValue === null
+                            ? `${alterColumn} DROP DEFAULT`
+                            : `${alterColumn} SET DEFAULT ${defaultSql(defaultValue)}`
+                    );
+                }
+
+                return sql;
+            }
+        }
+    });
+
+    return statements.map((statement) => `${statement};`).join("\n");
+};
+
+/**
+ * Renders a value as JavaScript source. Expressions become `raw()` calls.
+ * @param {*} value The value to render.
+ * @returns {string} The JavaScript source.
+ */
+const toSource = (value) => {
+    if (value instanceof Expression) return `raw(${JSON.stringify(value.sql)})`;
+
+    if (value && typeof value === "object") {
+        const entries = Object.entries(value)
+            .filter(([, item]) => item !== undefined)
+            .map(([key, item]) => `${key}: ${toSource(item)}`);
+
+        return `{ ${entries.join(", ")} }`;
+    }
+
+    return JSON.stringify(value);
+};
+
+/**
+ * Renders the operations of `diffSchema` as the source of a migration file.
+ * The down function reverts the operations in reverse order.
+ * @param {Array<object>} operations The operations to render.
+ * @returns {string} The source of the migration file.
+ */
+const renderMigration = (operations) => {
+    const table = (name) => `model.table(${JSON.stringify(name)})`;
+    const irreversible = (operation) =>
+        `throw new Error(${JSON.stringify(`Can't revert the ${operation.op} of ${operation.table}.${operation.column.name ?? operation.column}`)});`;
+
+    const up = operations.map((operation) => {
+        const { op, column } = operation;
+
+        switch (op) {
+            case "createTable": {
+                const columns = operation.columns.map(
+                    (column) => `        t.column(${toSource(column)});`
+                );
+
+                return `await model.createTable(${JSON.stringify(operation.table)}, (t) => {\n${columns.join("\n")}\n    });`;
+            }
+            case "add":
+                return `await ${table(operation.table)}.add(${toSource(column)});`;
+            case "rename":
+                return `await ${table(operation.table)}.rename(${toSource(operation.from)}, ${toSource(operation.to)});`;
+            case "drop":
+                return `await ${table(operation.table)}.del(${toSource(column)});`;
+            case "modify":
+                return `await ${table(operation.table)}.modify(${toSource(column)});`;
+        }
+    });
+
+    const down = [...operations].reverse().map((operation) => {
+        const { op, column, previous } = operation;
+
+        switch (op) {
+            case "createTable":
+                return `await model.deleteTable(${JSON.stringify(operation.table)});`;
+            case "add":
+                return `await ${table(operation.table)}.del(${toSource(column.name)});`;
+            case "rename":
+                return `await ${table(operation.table)}.rename(${toSource(operation.to)}, ${toSource(operation.from)});`;
+            case "drop":
+                return previous
+                    ? `await ${table(operation.table)}.add(${toSource(previous)});`
+                    : irreversible(operation);
+            case "modify":
+                return previous && !primaryKeyTypes.includes(previous.type)
+                    ? `await ${table(operation.table)}.modify(${toSource({ defaultValue: null, ...previous, name: column.name })});`
+                    : irreversible(operation);
+        }
+    });
+
+    const body = (lines) => lines.map((line) => `    ${line}`).join("\n");
+
+    return `import { raw } from "commandorm";
+
+/**
+ * @param {import("commandorm").Model} model The transaction the migration runs in.
+ */
+export const up = async (model) => {
+${body(up)}
+};
+
+/**
+ * @param {import("commandorm").Model} model The transaction the migration runs in.
+ */
+export const down = async (model) => {
+${body(down)}
+};
+`;
+};
+
+export { diffSchema, renderSql, renderMigration };
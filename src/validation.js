@@ -1,3 +1,5 @@
+import { ValidationError } from "./errors.js";
+
 // list of postgreSQL reserved words
 const reservedKeyWords = [
     "all",
@@ -102,11 +104,19 @@ const reservedKeyWords = [
 
 const validateSQLName = (...args) => {
     if (!args.every((arg) => typeof arg === "string"))
-        throw new Error(`Column/Table names must be a string`);
+        throw new ValidationError(`Column/Table names must be a string`, {
+            reason: "not-a-string",
+            names: args.filter((arg) => typeof arg !== "string"),
+        });
+
+    const invalid = args.filter(
+        (arg) => /^[0-9]/.test(arg) || reservedKeyWords.includes(arg.toLocaleLowerCase())
+    );
 
-    if (args.some((arg) => /^[0-9]/.test(arg) || reservedKeyWords.includes(arg.toLocaleLowerCase()))) 
-        throw new Error(
-            `Column/Table names can not begin with numbers and can not be a reserved keyword.`
+    if (invalid.length)
+        throw new ValidationError(
+            `Column/Table names can not begin with numbers and can not be a reserved keyword.`,
+            { reason: "invalid-name", names: invalid }
         );
 };
 
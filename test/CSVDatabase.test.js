@@ -1,3 +1,6 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
 import { CSVDatabase } from "../src/CSVDatabase.js";
 
 describe(`QueryBuilder tests`, () => {
@@ -227,6 +230,22 @@ describe(`QueryBuilder tests`, () => {
 
             expect(tableContents).toStrictEqual(expected);
         });
+
+        test(`Get with order by several columns`, async () => {
+            const tableContents = await db.table('tests.csv')
+                .select('first_name', 'last_name')
+                .orderBy('first_name', 'asc')
+                .orderBy({ column: 'salary', order: 'desc', nulls: 'last' })
+                .get();
+
+            expect(tableContents.map((row) => row.last_name))
+                .toStrictEqual(['Porway', 'Billy', 'Ginto', 'Gondino', 'Cate']);
+        });
+
+        test(`Get with an invalid order direction`, () => {
+            expect(() => db.table('tests.csv').orderBy({ column: 'age', order: 'up' })).toThrow();
+            expect(() => db.table('tests.csv').orderBy('age', 'asc', 'nulls middle')).toThrow();
+        });
     });
 
     describe(`Utility methods tests`, () => {
@@ -297,6 +316,53 @@ describe(`QueryBuilder tests`, () => {
         });
     });
 
+    describe(`Seeder tests`, () => {
+        test(`Write tables from fixtures`, async () => {
+            await db.seed.fixtures({
+                seeded: [
+                    { first_name: 'Micah', age: '41' },
+                    { first_name: 'John', job: 'bounty hunter' },
+                ],
+            });
+
+            const columns = await db.getColumns('seeded.csv');
+            const rows = await db.table('seeded.csv').get();
+
+            expect(columns).toStrictEqual(['first_name', 'age', 'job']);
+            expect(rows).toStrictEqual([
+                { first_name: 'Micah', age: '41', job: '' },
+                { first_name: 'John', age: '', job: 'bounty hunter' },
+            ]);
+
+            await db.seed.fixtures({ 'seeded.csv': [{ first_name: 'Pedro' }] });
+
+            expect(await db.table('seeded.csv').get()).toStrictEqual([{ first_name: 'Pedro' }]);
+
+            await db.deleteTable('seeded');
+        });
+
+        test(`Run seed files against the database`, async () => {
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'commandorm-csv-seeds-'));
+            fs.writeFileSync(path.join(directory, 'package.json'), '{ "type": "module" }');
+            fs.writeFileSync(
+                path.join(directory, 'users.js'),
+                `export const seed = async (db) => { await db.writeTable('seeded', [{ name: 'Bill' }]); };`
+            );
+
+            const seeded = new CSVDatabase('./DB', { seedsDirectory: directory });
+
+            await expect(seeded.seed.run()).resolves.toStrictEqual(['users.js']);
+            expect(await seeded.table('seeded.csv').get()).toStrictEqual([{ name: 'Bill' }]);
+
+            await seeded.deleteTable('seeded');
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        test(`Invalid fixture table name`, async () => {
+            await expect(db.seed.fixtures({ '../seeded': [] })).rejects.toThrow();
+        });
+    });
+
     test(`Delete the table`, async () => {
         await db.deleteTable('tests');
 
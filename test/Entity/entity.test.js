@@ -0,0 +1,171 @@
+import { beforeEach, jest } from "@jest/globals";
+import { model, mockClient, queries } from "../";
+import { Entity } from "../../src/index.js";
+
+class User extends Entity {
+    static table = "users";
+    static columns = {
+        id: { type: "pk" },
+        email: { type: "string", length: 255 },
+        balance: { type: "float", precision: 10, scale: 2 },
+        settings: { type: "jsonb" },
+        born_on: { type: "date" },
+    };
+}
+
+const schema = ["id", "email", "balance", "settings", "born_on"].map((column_name) => ({
+    column_name,
+    column_default: null,
+    is_nullable: "YES",
+}));
+
+const row = { id: 1, email: "micah@example.com", balance: "12.50", settings: { theme: "dark" }, born_on: "1990-05-01" };
+
+describe("Entity tests", () => {
+    beforeAll(() => {
+        Entity.model = model;
+    });
+
+    afterAll(() => {
+        Entity.model = null;
+    });
+
+    beforeEach(() => {
+        mockClient.query.mockReset();
+        jest.clearAllMocks();
+    });
+
+    test("find returns a cast instance", async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [row] });
+
+        const user = await User.find(1);
+
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "SELECT * FROM users WHERE id = $1 LIMIT $2;",
+            values: [1, 1],
+        });
+        expect(user).toBeInstanceOf(User);
+        expect(user.persisted).toBe(true);
+        expect(user.balance).toBe("12.50");
+        expect(user.born_on).toEqual(new Date("1990-05-01"));
+        expect(user.settings).toEqual({ theme: "dark" });
+    });
+
+    test("numeric columns stay strings unless they cast to numbers", () => {
+        class Account extends Entity {
+            static table = "accounts";
+            static columns = {
+                balance: { type: "numeric", precision: 20, scale: 2 },
+                rate: { type: "float", cast: Number },
+            };
+        }
+
+        const account = new Account({ balance: "12345678901234567.89", rate: "0.25" });
+
+        expect(account.balance).toBe("12345678901234567.89");
+        expect(account.rate).toBe(0.25);
+    });
+
+    test("find returns undefined if there's no such row", async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+        await expect(User.find(2)).resolves.toBeUndefined();
+    });
+
+    test("where(...).get() returns instances", async () => {
+        mockClient.query
+            .mockResolvedValueOnce({ rows: schema })
+            .mockResolvedValueOnce({ rows: [row, { ...row, id: 2 }] });
+
+        const users = await User.where("balance", ">", 10).orderBy("id").get();
+
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "SELECT * FROM users WHERE balance > $1 ORDER BY id ASC;",
+            values: [10],
+        });
+        expect(users.map((user) => user instanceof User)).toEqual([true, true]);
+        expect(users.map((user) => user.id)).toEqual([1, 2]);
+    });
+
+    test("save inserts a new entity and refreshes it", async () => {
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [{ column_name: "id" }] })
+            .mockResolvedValueOnce({ rows: schema })
+            .mockResolvedValueOnce({ rows: [{ ...row, id: 7 }] });
+
+        const user = new User({ email: "micah@example.com", settings: { theme: "dark" } });
+
+        expect(user.persisted).toBe(false);
+
+        await user.save();
+
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text:
+                "INSERT INTO users (email,balance,settings,born_on) VALUES ($1, $2, $3, $4) RETURNING *",
+            values: ["micah@example.com", null, '{"theme":"dark"}', null],
+        });
+        expect(user.id).toBe(7);
+        expect(user.persisted).toBe(true);
+    });
+
+    test("save updates only the changed attributes", async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [row] });
+        const user = await User.find(1);
+
+        await user.save();
+        expect(mockClient.query).toHaveBeenCalledTimes(1);
+
+        mockClient.query.mockResolvedValueOnce({ rows: [{ ...row, balance: "20.00" }] });
+        user.balance = 20;
+        await user.save();
+
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "UPDATE users SET balance = $1 WHERE id = $2 RETURNING *;",
+            values: [20, 1],
+        });
+        expect(user.dirty()).toEqual({});
+    });
+
+    test("delete removes the row", async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [row] });
+        const user = await User.find(1);
+
+        mockClient.query.mockResolvedValueOnce({ rows: [] });
+        await user.delete();
+
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "DELETE FROM users WHERE id = $1 ;",
+            values: [1],
+        });
+        expect(user.persisted).toBe(false);
+        await expect(user.delete()).rejects.toThrow();
+    });
+
+    test("Queries can run inside a transaction", async () => {
+        mockClient.query.mockResolvedValue({ rows: [row] });
+
+        await model.transaction(async (trx) => {
+            const user = await User.find(1, trx);
+            expect(user).toBeInstanceOf(User);
+        });
+
+        expect(queries()).toEqual([
+            "BEGIN",
+            "SELECT * FROM users WHERE id = $1 LIMIT $2;",
+            "COMMIT",
+        ]);
+    });
+
+    test("Entities without a table or model throw", () => {
+        class Orphan extends Entity {}
+
+        expect(() => Orphan.query()).toThrow();
+
+        class Detached extends Entity {
+            static table = "detached";
+        }
+        Detached.model = null;
+
+        expect(() => Detached.where("id", 1)).toThrow();
+    });
+});
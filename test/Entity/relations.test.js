@@ -0,0 +1,182 @@
+import { beforeEach, jest } from "@jest/globals";
+import { model, mockClient, queries as sent } from "../";
+import { Entity, hasOne, hasMany, belongsTo, belongsToMany } from "../../src/index.js";
+
+class User extends Entity {
+    static table = "users";
+    static relations = {
+        posts: hasMany(() => Post),
+        profile: hasOne(() => Profile),
+        roles: belongsToMany(() => Role, { table: "role_user" }),
+    };
+}
+
+class Post extends Entity {
+    static table = "posts";
+    static relations = {
+        author: belongsTo(User, { foreignKey: "user_id" }),
+        comments: hasMany(() => Comment),
+    };
+}
+
+class Comment extends Entity {
+    static table = "comments";
+}
+
+class Profile extends Entity {
+    static table = "profiles";
+}
+
+class Role extends Entity {
+    static table = "roles";
+}
+
+// Every get() reads the schema of the table before the select query
+const select = (rows) =>
+    mockClient.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows });
+
+// The queries of the relations, without the schema reads
+const queries = () =>
+    sent(true)
+        .filter((query) => query.text && !query.text.includes("information_schema"))
+        .map(({ text, values }) => [text, values]);
+
+describe("Entity relations tests", () => {
+    beforeAll(() => {
+        Entity.model = model;
+    });
+
+    afterAll(() => {
+        Entity.model = null;
+    });
+
+    beforeEach(() => {
+        mockClient.query.mockReset();
+        jest.clearAllMocks();
+    });
+
+    test("with eager loads nested relations with one query per relation", async () => {
+        select([{ id: 1 }, { id: 2 }]);
+        select([
+            { id: 10, user_id: 1 },
+            { id: 11, user_id: 1 },
+        ]);
+        select([{ id: 100, post_id: 11 }]);
+
+        const users = await User.with("posts.comments").get();
+
+        expect(queries()).toEqual([
+            ["SELECT * FROM users;", []],
+            ["SELECT * FROM posts WHERE user_id IN ($1, $2);", [1, 2]],
+            ["SELECT * FROM comments WHERE post_id IN ($1, $2);", [10, 11]],
+        ]);
+
+        const posts = await users[0].posts();
+
+        expect(posts.map((post) => post instanceof Post)).toEqual([true, true]);
+        expect(await users[1].posts()).toEqual([]);
+        expect(await posts[1].comments()).toEqual([new Comment({ id: 100, post_id: 11 })]);
+        expect(mockClient.query).toHaveBeenCalledTimes(6);
+
+        expect(JSON.parse(JSON.stringify(users))).toEqual([
+            {
+                id: 1,
+                posts: [
+                    { id: 10, user_id: 1, comments: [] },
+                    { id: 11, user_id: 1, comments: [{ id: 100, post_id: 11 }] },
+                ],
+            },
+            { id: 2, posts: [] },
+        ]);
+    });
+
+    test("belongsTo and hasOne resolve to an entity or null", async () => {
+        select([
+            { id: 10, user_id: 1 },
+            { id: 11, user_id: 1 },
+            { id: 12, user_id: null },
+        ]);
+        select([{ id: 1 }]);
+        select([]);
+
+        const posts = await Post.with("author.profile").get();
+
+        expect(queries()).toEqual([
+            ["SELECT * FROM posts;", []],
+            ["SELECT * FROM users WHERE id IN ($1);", [1]],
+            ["SELECT * FROM profiles WHERE user_id IN ($1);", [1]],
+        ]);
+
+        const author = await posts[0].author();
+
+        expect(author).toBeInstanceOf(User);
+        expect(await posts[1].author()).toEqual(author);
+        expect(await posts[2].author()).toBeNull();
+        expect(await author.profile()).toBeNull();
+    });
+
+    test("belongsToMany goes through the pivot table", async () => {
+        select([{ id: 1 }, { id: 2 }]);
+        select([
+            { id: 5, name: "admin", __pivot_key: 1 },
+            { id: 6, name: "editor", __pivot_key: 1 },
+            { id: 5, name: "admin", __pivot_key: 2 },
+        ]);
+
+        const users = await User.query().with("roles").get();
+
+        expect(queries()[1]).toEqual([
+            "SELECT roles.*,role_user.user_id AS __pivot_key FROM roles INNER JOIN role_user ON role_user.role_id = roles.id WHERE role_user.user_id IN ($1, $2);",
+            [1, 2],
+        ]);
+
+        const roles = await users[0].roles();
+
+        expect(roles.map((role) => role.name)).toEqual(["admin", "editor"]);
+        expect(roles[0]).not.toHaveProperty("__pivot_key");
+        expect((await users[1].roles()).map((role) => role.id)).toEqual([5]);
+    });
+
+    test("Relations load lazily once", async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [{ id: 1 }] });
+        const user = await User.find(1);
+
+        select([{ id: 10, user_id: 1 }]);
+
+        const posts = await user.posts();
+        await user.posts();
+
+        expect(posts).toEqual([new Post({ id: 10, user_id: 1 })]);
+        expect(queries()).toEqual([
+            ["SELECT * FROM users WHERE id = $1 LIMIT $2;", [1, 1]],
+            ["SELECT * FROM posts WHERE user_id IN ($1);", [1]],
+        ]);
+
+        select([]);
+        await user.load("posts");
+
+        expect(await user.posts()).toEqual([]);
+    });
+
+    test("Relations without keys don't run queries", async () => {
+        const post = new Post({ title: "Draft" });
+
+        expect(await post.author()).toBeNull();
+        expect(await User.load([], "posts")).toEqual([]);
+        expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    test("Unknown relations throw", async () => {
+        await expect(User.load([new User({ id: 1 })], "comments")).rejects.toThrow();
+        expect(() => model.table("users").with("posts")).toThrow();
+        expect(() => belongsToMany(Role)).toThrow();
+        expect(() => {
+            class Broken extends Entity {
+                static table = "broken";
+                static relations = { save: hasMany(Post) };
+            }
+
+            return new Broken();
+        }).toThrow();
+    });
+});
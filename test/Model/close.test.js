@@ -1,4 +1,8 @@
+import { jest } from "@jest/globals";
+import { Pool } from "pg";
+import { Model, ConnectionError } from "../../src/index.js";
 import { model, mockEnd } from "../";
+import { idFieldMock, nameFieldMock, ageFieldMock } from "../../__mocks__/mocks.js";
 
 describe(`Model's close method tests`, () => {
     test(`Close all connections to postgreSQL`, async () => {
@@ -6,4 +10,107 @@ describe(`Model's close method tests`, () => {
 
         expect(mockEnd).toHaveBeenCalled();
     });
-});
\ No newline at end of file
+
+    describe(`Draining`, () => {
+        let drained, client, release;
+
+        beforeEach(() => {
+            client = { query: jest.fn(() => new Promise((resolve) => (release = resolve))), release: jest.fn() };
+            Pool.mockImplementationOnce(() => ({ connect: jest.fn(async () => client), end: jest.fn() }));
+
+            drained = new Model({});
+        });
+
+        test(`Checked out clients are waited for`, async () => {
+            const query = drained.table("tests").count();
+            await jest.advanceTimersByTimeAsync(0);
+
+            const closing = drained.close();
+            await jest.advanceTimersByTimeAsync(0);
+
+            expect(drained.pool.end).not.toHaveBeenCalled();
+
+            release({ rows: [{ count: "1" }] });
+            await query;
+            await closing;
+
+            expect(client.release).toHaveBeenCalledWith();
+            expect(drained.pool.end).toHaveBeenCalled();
+        });
+
+        test(`Clients still checked out after the drain timeout are disconnected`, async () => {
+            drained.table("tests").count();
+            await jest.advanceTimersByTimeAsync(0);
+
+            const closing = drained.close({ drainTimeout: 500 });
+            await jest.advanceTimersByTimeAsync(500);
+            await closing;
+
+            expect(client.release).toHaveBeenCalledWith(true);
+            expect(drained.pool.end).toHaveBeenCalled();
+
+            release({ rows: [{ count: "1" }] });
+            await jest.advanceTimersByTimeAsync(0);
+
+            expect(client.release).toHaveBeenCalledTimes(1);
+        });
+
+        test(`Closing again waits for the same shutdown`, async () => {
+            const query = drained.table("tests").count();
+            await jest.advanceTimersByTimeAsync(0);
+
+            const first = drained.close();
+            const second = drained.close({ drainTimeout: 10 });
+            await jest.advanceTimersByTimeAsync(10);
+
+            expect(client.release).not.toHaveBeenCalled();
+
+            release({ rows: [{ count: "1" }] });
+            await query;
+            await Promise.all([first, second]);
+
+            expect(drained.pool.end).toHaveBeenCalledTimes(1);
+        });
+
+        test(`Operations in flight keep checking out until they're done`, async () => {
+            const respond = (query) => {
+                const sql = query.text ?? query;
+
+                if (sql.includes("PRIMARY KEY")) return { rows: [{ column_name: "id", data_type: "integer" }] };
+                if (sql.includes("information_schema.columns"))
+                    return { rows: [idFieldMock, nameFieldMock, ageFieldMock] };
+
+                return { rows: [{ id: 1, name: "Micah", age: 29 }] };
+            };
+            client.query.mockImplementation(
+                (query) => new Promise((resolve) => setTimeout(() => resolve(respond(query)), 10))
+            );
+
+            const read = drained.table("tests").select().get();
+            const write = drained.table("tests").insert({ name: "Micah", age: 29 });
+            await jest.advanceTimersByTimeAsync(0);
+
+            const closing = drained.close();
+            await jest.advanceTimersByTimeAsync(10);
+
+            // Each of them read the schema and released its client, and now runs its query on a new one
+            expect(drained.pool.end).not.toHaveBeenCalled();
+
+            await jest.advanceTimersByTimeAsync(100);
+
+            await expect(read).resolves.toStrictEqual([{ id: 1, name: "Micah", age: 29 }]);
+            await expect(write).resolves.toStrictEqual([{ id: 1, name: "Micah", age: 29 }]);
+            await closing;
+
+            expect(client.release).not.toHaveBeenCalledWith(true);
+            expect(drained.pool.end).toHaveBeenCalled();
+            await expect(drained.table("tests").select().get()).rejects.toThrow(ConnectionError);
+        });
+
+        test(`New checkouts are refused while closing`, async () => {
+            await drained.close();
+
+            await expect(drained.table("tests").count()).rejects.toThrow(ConnectionError);
+        });
+    });
+});
@@ -1,5 +1,6 @@
 import { jest } from "@jest/globals";
 import { model, mockClient } from "../";
+import { raw } from "../../src/index.js";
 
 describe("Model's createTable method tests", () => {
     const createTableSpy = jest.spyOn(model, "createTable");
@@ -23,4 +24,119 @@ describe("Model's createTable method tests", () => {
 
         await expect(model.createTable("tests")).rejects.toThrow();
     });
-});
\ No newline at end of file
+
+    describe("Table builder tests", () => {
+        beforeEach(() => {
+            mockClient.query.mockReset();
+            jest.clearAllMocks();
+        });
+
+        test("Create a table with columns in a single statement", async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ exists: false }] })
+                .mockResolvedValueOnce({});
+
+            await model.createTable("users", (t) => {
+                t.pk("id");
+                t.string("email", 255).notNull().unique();
+                t.float("balance", 10, 2).defaultTo(0);
+                t.timestamps();
+            });
+
+            expect(mockClient.query).toHaveBeenCalledTimes(2);
+            expect(mockClient.query).toHaveBeenLastCalledWith(
+                "CREATE TABLE users (id SERIAL PRIMARY KEY, " +
+                "email VARCHAR(255) NOT NULL UNIQUE, " +
+                "balance DECIMAL(10, 2) DEFAULT '0', " +
+                "created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP, " +
+                "updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP)"
+            );
+        });
+
+        test("The builder is also bound to this", async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ exists: false }] })
+                .mockResolvedValueOnce({});
+
+            await model.createTable("tests", function () {
+                this.int("amount");
+            });
+
+            expect(mockClient.query).toHaveBeenLastCalledWith("CREATE TABLE tests (amount INT)");
+        });
+
+        test("Expanded column types", async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ exists: false }] })
+                .mockResolvedValueOnce({});
+
+            await model.createTable("events", (t) => {
+                t.identity("id", true);
+                t.uuid("uid").defaultTo(raw("gen_random_uuid()"));
+                t.jsonb("payload");
+                t.array("tags", "string", { length: 32 });
+                t.enum("mood", "mood");
+                t.timestamptz("at");
+            });
+
+            expect(mockClient.query).toHaveBeenLastCalledWith(
+                "CREATE TABLE events (id INT GENERATED ALWAYS AS IDENTITY PRIMARY KEY, " +
+                "uid UUID DEFAULT gen_random_uuid(), payload JSONB, tags VARCHAR(32)[], " +
+                "mood mood, at TIMESTAMPTZ)"
+            );
+        });
+
+        test("Table constraints", async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ exists: false }] })
+                .mockResolvedValueOnce({});
+
+            await model.createTable("memberships", (t) => {
+                t.int("user_id").notNull();
+                t.int("group_id").notNull();
+                t.int("rank");
+                t.primary(["user_id", "group_id"]);
+                t.foreign("user_id").references("users.id").onDelete("cascade");
+                t.unique(["group_id", "rank"]);
+                t.check("rank > 0");
+                t.check("rank < 100");
+            });
+
+            expect(mockClient.query).toHaveBeenLastCalledWith(
+                "CREATE TABLE memberships (user_id INT NOT NULL, group_id INT NOT NULL, rank INT, " +
+                "CONSTRAINT memberships_pkey PRIMARY KEY (user_id,group_id), " +
+                "CONSTRAINT memberships_user_id_fkey FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE, " +
+                "CONSTRAINT memberships_group_id_rank_key UNIQUE (group_id,rank), " +
+                "CHECK (rank > 0), CHECK (rank < 100))"
+            );
+        });
+
+        test("ifNotExists skips the exists check", async () => {
+            mockClient.query.mockResolvedValueOnce({});
+
+            await model.createTable("tests", (t) => t.date("day"), { ifNotExists: true });
+            await model.createTable("tests", { ifNotExists: true });
+
+            expect(mockClient.query.mock.calls).toEqual([
+                ["CREATE TABLE IF NOT EXISTS tests (day DATE)"],
+                ["CREATE TABLE IF NOT EXISTS tests ()"],
+            ]);
+        });
+
+        test("Invalid column definitions throw", async () => {
+            mockClient.query.mockResolvedValue({ rows: [{ exists: false }] });
+
+            await expect(model.createTable("tests", (t) => t.string("name"))).rejects.toThrow();
+            await expect(
+                model.createTable("tests", (t) => {
+                    t.int("id");
+                    t.int("id");
+                })
+            ).rejects.toThrow();
+            await expect(model.createTable("tests", (t) => t.pk().defaultTo(1))).rejects.toThrow();
+            await expect(model.createTable("tests", (t) => t.int("select"))).rejects.toThrow();
+
+            expect(mockClient.query).toHaveBeenCalledTimes(4);
+        });
+    });
+});
@@ -0,0 +1,186 @@
+import { beforeEach, jest } from "@jest/globals";
+import { model, mockClient } from "../";
+import { raw } from "../../src/index.js";
+
+const column = (column_name, data_type, extra = {}) => ({
+    column_name,
+    column_default: null,
+    is_nullable: "YES",
+    data_type,
+    udt_name: null,
+    character_maximum_length: null,
+    numeric_precision: null,
+    numeric_scale: null,
+    ...extra,
+});
+
+const usersColumns = [
+    column("id", "integer", { column_default: "nextval('users_id_seq'::regclass)", is_nullable: "NO" }),
+    column("mail", "character varying", { character_maximum_length: 100 }),
+    column("name", "character varying", {
+        character_maximum_length: 64,
+        column_default: "'anonymous'::character varying",
+    }),
+    column("balance", "numeric", { numeric_precision: 10, numeric_scale: 2, column_default: "0" }),
+    column("legacy", "text"),
+    column("created_at", "timestamp without time zone", {
+        is_nullable: "NO",
+        column_default: "CURRENT_TIMESTAMP",
+    }),
+];
+
+const schema = {
+    users: {
+        id: { type: "pk" },
+        email: { type: "string", length: 255, nullable: false, renamedFrom: "mail" },
+        name: { type: "string", length: 64, defaultValue: "anonymous" },
+        balance: { type: "float", precision: 10, scale: 2, defaultValue: 0 },
+        created_at: { type: "timestamp", nullable: false, defaultValue: raw("CURRENT_TIMESTAMP") },
+        tags: { type: "text[]" },
+    },
+    posts: {
+        id: { type: "pk" },
+        title: { type: "text", nullable: false },
+    },
+};
+
+describe(`Model's diffSchema method tests`, () => {
+    beforeEach(() => {
+        mockClient.query.mockReset();
+        mockClient.query.mockImplementation(async (sql, values) => {
+            if (/SELECT EXISTS/.test(sql)) return { rows: [{ exists: values[1] === "users" }] };
+            if (/SELECT column_name/.test(sql)) return { rows: usersColumns };
+
+            return { rows: [] };
+        });
+        jest.clearAllMocks();
+    });
+
+    test("Returns the ordered operations", async () => {
+        const operations = await model.diffSchema(schema);
+
+        expect(operations.map(({ op, table }) => `${op} ${table}`)).toEqual([
+            "rename users",
+            "add users",
+            "modify users",
+            "drop users",
+            "createTable posts",
+        ]);
+
+        expect(operations[0]).toEqual({ op: "rename", table: "users", from: "mail", to: "email" });
+        expect(operations[1].column).toEqual({ name: "tags", type: "text[]" });
+        expect(operations[2]).toMatchObject({
+            column: { name: "email", type: "string", length: 255, nullable: false, defaultValue: null },
+            previous: { name: "email", type: "string", length: 100, nullable: true },
+            changes: ["type", "nullable"],
+        });
+        expect(operations[3]).toMatchObject({
+            column: "legacy",
+            previous: { name: "legacy", type: "text", nullable: true },
+        });
+        expect(operations[4].columns).toEqual([
+            { name: "id", type: "pk" },
+            { name: "title", type: "text", nullable: false },
+        ]);
+
+        // Nothing but reads ran
+        expect(mockClient.query.mock.calls.every(([sql]) => /^\s*SELECT/.test(sql))).toBe(true);
+    });
+
+    test("Drift in defaults and nullability is detected", async () => {
+        const operations = await model.diffSchema({
+            users: {
+                ...schema.users,
+                name: { type: "string", length: 64, nullable: false },
+                balance: { type: "float", precision: 10, scale: 2, defaultValue: 5 },
+                created_at: { type: "timestamp", nullable: false, defaultValue: raw("now()") },
+                legacy: { type: "text" },
+            },
+        });
+
+        const modified = operations.filter(({ op }) => op === "modify");
+
+        expect(modified.map(({ column, changes }) => [column.name, changes])).toEqual([
+            ["email", ["type", "nullable"]],
+            ["name", ["nullable", "default"]],
+            ["balance", ["default"]],
+            ["created_at", ["default"]],
+        ]);
+    });
+
+    test("Boolean defaults match the ones PostgreSQL reports", async () => {
+        mockClient.query.mockImplementation(async (sql) => {
+            if (/SELECT EXISTS/.test(sql)) return { rows: [{ exists: true }] };
+            if (/SELECT column_name/.test(sql))
+                return {
+                    rows: [
+                        column("active", "boolean", { column_default: "true" }),
+                        column("banned", "boolean", { column_default: "false" }),
+                    ],
+                };
+
+            return { rows: [] };
+        });
+
+        const operations = await model.diffSchema({
+            flags: {
+                active: { type: "boolean", defaultValue: true },
+                banned: { type: "boolean", defaultValue: false },
+            },
+        });
+
+        expect(operations).toEqual([]);
+    });
+
+    test("Renders the operations as sql", async () => {
+        const sql = await model.diffSchema(schema, { as: "sql" });
+
+        expect(sql).toBe(
+            [
+                "ALTER TABLE users RENAME COLUMN mail TO email;",
+                "ALTER TABLE users ADD COLUMN tags TEXT[];",
+                "ALTER TABLE users ALTER COLUMN email TYPE VARCHAR(255);",
+                "ALTER TABLE users ALTER COLUMN email SET NOT NULL;",
+                "ALTER TABLE users DROP COLUMN legacy;",
+                "CREATE TABLE posts (id SERIAL PRIMARY KEY, title TEXT NOT NULL);",
+            ].join("\n")
+        );
+    });
+
+    test("Renders the operations as a migration", async () => {
+        const migration = await model.diffSchema(schema, { as: "migration" });
+
+        expect(migration).toContain(`import { raw } from "commandorm";`);
+        expect(migration).toContain(
+            [
+                "export const up = async (model) => {",
+                `    await model.table("users").rename("mail", "email");`,
+                `    await model.table("users").add({ name: "tags", type: "text[]" });`,
+                `    await model.table("users").modify({ name: "email", type: "string", length: 255, nullable: false, defaultValue: null });`,
+                `    await model.table("users").del("legacy");`,
+                `    await model.createTable("posts", (t) => {`,
+                `        t.column({ name: "id", type: "pk" });`,
+                `        t.column({ name: "title", type: "text", nullable: false });`,
+                "    });",
+                "};",
+            ].join("\n")
+        );
+        expect(migration).toContain(
+            [
+                "export const down = async (model) => {",
+                `    await model.deleteTable("posts");`,
+                `    await model.table("users").add({ name: "legacy", type: "text", nullable: true });`,
+                `    await model.table("users").modify({ defaultValue: null, name: "email", type: "string", length: 100, nullable: true });`,
+                `    await model.table("users").del("tags");`,
+                `    await model.table("users").rename("email", "mail");`,
+                "};",
+            ].join("\n")
+        );
+    });
+
+    test("Invalid schemas throw", async () => {
+        await expect(model.diffSchema({ users: { id: { type: "money" } } })).rejects.toThrow();
+        await expect(model.diffSchema({ select: {} })).rejects.toThrow();
+        await expect(model.diffSchema(schema, { as: "yaml" })).rejects.toThrow();
+    });
+});
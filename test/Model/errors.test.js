@@ -0,0 +1,139 @@
+import { beforeEach, jest } from "@jest/globals";
+import { nameFieldMock, jobFieldMock } from "../../__mocks__/mocks.js";
+import { model, mockClient, pgError } from "../";
+import {
+    ValidationError,
+    DatabaseError,
+    UniqueViolationError,
+    ForeignKeyViolationError,
+    NotNullViolationError,
+    CheckViolationError,
+    DeadlockError,
+    SerializationFailureError,
+    ConnectionError,
+} from "../../src/index.js";
+
+describe(`Typed error tests`, () => {
+    beforeEach(() => {
+        mockClient.query.mockReset();
+        jest.clearAllMocks();
+    });
+
+    test.each([
+        ["23505", UniqueViolationError],
+        ["23503", ForeignKeyViolationError],
+        ["23502", NotNullViolationError],
+        ["23514", CheckViolationError],
+        ["40P01", DeadlockError],
+        ["40001", SerializationFailureError],
+        ["08006", ConnectionError],
+        ["42P01", DatabaseError],
+    ])(`SQLSTATE %s becomes %p`, async (code, ErrorClass) => {
+        const cause = pgError(code, {
+            constraint: "tests_name_key",
+            detail: "Key (name)=(Pete) already exists.",
+            table: "tests",
+            column: "name",
+        });
+
+        mockClient.query.mockRejectedValueOnce(cause);
+
+        const error = await model
+            .table("tests")
+            .where("name", "Pete")
+            .update({ name: "Josh" })
+            .catch((error) => error);
+
+        expect(error).toBeInstanceOf(ErrorClass);
+        expect(error).toBeInstanceOf(DatabaseError);
+        expect(error).toMatchObject({
+            name: ErrorClass.name,
+            message: cause.message,
+            cause,
+            code,
+            constraint: "tests_name_key",
+            detail: "Key (name)=(Pete) already exists.",
+            table: "tests",
+            column: "name",
+            sql: "UPDATE tests SET name = $1 WHERE name = $2 ;",
+            bindings: ["Josh", "Pete"],
+        });
+    });
+
+    test(`Errors of Model methods keep the pg fields`, async () => {
+        mockClient.query.mockRejectedValueOnce(pgError("42501"));
+
+        const error = await model.getSchemaData("tests").catch((error) => error);
+
+        expect(error).toBeInstanceOf(DatabaseError);
+        expect(error.code).toBe("42501");
+    });
+
+    test(`Failing to connect throws a ConnectionError`, async () => {
+        const cause = Object.assign(new Error("connect ECONNREFUSED 127.0.0.1:5432"), {
+            code: "ECONNREFUSED",
+        });
+
+        model.pool.connect.mockRejectedValueOnce(cause);
+
+        await expect(model.exists("tests")).rejects.toMatchObject({
+            name: "ConnectionError",
+            code: "ECONNREFUSED",
+            cause,
+        });
+    });
+
+    test(`A serialization failure on commit is typed`, async () => {
+        mockClient.query
+            .mockResolvedValueOnce({})
+            .mockRejectedValueOnce(pgError("40001"))
+            .mockResolvedValueOnce({});
+
+        await expect(model.transaction(async () => {})).rejects.toBeInstanceOf(
+            SerializationFailureError
+        );
+    });
+
+    test(`Errors that don't come from the database are kept as they are`, async () => {
+        const failure = new Error("Not allowed");
+
+        await expect(
+            model.decorator(async () => {
+                throw failure;
+            })()
+        ).rejects.toBe(failure);
+    });
+
+    test(`Invalid names throw a ValidationError`, () => {
+        expect(() => model.table("select")).toThrow(ValidationError);
+
+        expect(() => model.table(42)).toThrow(
+            expect.objectContaining({ reason: "not-a-string", names: [42] })
+        );
+        expect(() => model.table("order")).toThrow(
+            expect.objectContaining({ reason: "invalid-name", names: ["order"] })
+        );
+    });
+
+    test(`Insert validation throws a ValidationError with the columns`, async () => {
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [nameFieldMock, jobFieldMock] });
+
+        await expect(model.table("tests").insert({ name: "Pete", salary: 10 })).rejects.toMatchObject({
+            name: "ValidationError",
+            reason: "unknown-columns",
+            table: "tests",
+            columns: ["salary"],
+        });
+
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [nameFieldMock, jobFieldMock] });
+
+        await expect(model.table("tests").insert({ job: "waiter" })).rejects.toMatchObject({
+            reason: "missing-columns",
+            columns: ["name"],
+        });
+    });
+});
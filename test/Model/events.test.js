@@ -0,0 +1,104 @@
+import { beforeEach, jest } from "@jest/globals";
+import { model, mockClient } from "../";
+import { Model } from "../../src/index.js";
+
+describe(`Model's query events tests`, () => {
+    beforeEach(() => {
+        mockClient.query.mockReset();
+        jest.clearAllMocks();
+        model.removeAllListeners();
+    });
+
+    test(`A query emits query and query-response`, async () => {
+        const events = [];
+
+        model.on("query", (event) => events.push(["query", event]));
+        model.on("query-response", (event) => events.push(["query-response", event]));
+
+        mockClient.query.mockImplementationOnce(async () => {
+            jest.advanceTimersByTime(15);
+
+            return { rows: [{ id: 1 }, { id: 2 }], rowCount: 2 };
+        });
+
+        await model.table("tests").where("id", ">", 0).delete();
+
+        expect(events).toEqual([
+            ["query", { sql: "DELETE FROM tests WHERE id > $1 ;", bindings: [0], table: "tests" }],
+            [
+                "query-response",
+                {
+                    sql: "DELETE FROM tests WHERE id > $1 ;",
+                    bindings: [0],
+                    table: "tests",
+                    duration: 15,
+                    rowCount: 2,
+                },
+            ],
+        ]);
+    });
+
+    test(`A failed query emits query-error`, async () => {
+        const onError = jest.fn();
+        const cause = new Error(`relation "tests" does not exist`);
+
+        model.on("query-error", onError);
+        mockClient.query.mockRejectedValueOnce(cause);
+
+        await expect(model.table("tests").delete()).rejects.toThrow(cause.message);
+
+        expect(onError).toHaveBeenCalledWith(
+            expect.objectContaining({ sql: "DELETE FROM tests  ;", table: "tests", error: cause })
+        );
+    });
+
+    test(`Queries of a transaction are emitted by the model`, async () => {
+        const onQuery = jest.fn();
+
+        model.on("query", onQuery);
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await model.transaction(async (trx) => {
+            await trx.table("tests").delete();
+        });
+
+        expect(onQuery).toHaveBeenCalledTimes(1);
+    });
+
+    test(`Slow queries emit slow-query`, async () => {
+        const slowModel = new Model({ _slowQueryThreshold: 100 });
+        const onSlow = jest.fn();
+
+        slowModel.on("slow-query", onSlow);
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [] })
+            .mockImplementationOnce(async () => {
+                jest.advanceTimersByTime(250);
+
+                return { rows: [] };
+            });
+
+        await slowModel.table("tests").delete();
+        await slowModel.table("tests").delete();
+
+        expect(onSlow).toHaveBeenCalledTimes(1);
+        expect(onSlow).toHaveBeenCalledWith(expect.objectContaining({ duration: 250 }));
+    });
+
+    test(`Debug mode prints every query`, async () => {
+        const log = jest.fn();
+        const debugModel = new Model({ _debug: log });
+
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+            .mockRejectedValueOnce(new Error("syntax error"));
+
+        await debugModel.table("tests").where("name", "Pete").delete();
+        await expect(debugModel.table("tests").delete()).rejects.toThrow();
+
+        expect(log.mock.calls).toEqual([
+            ["[commandORM] tests 0.00ms 1 rows\n  DELETE FROM tests WHERE name = $1 ;\n  bindings: [ 'Pete' ]"],
+            ["[commandORM] tests 0.00ms failed: syntax error\n  DELETE FROM tests ;"],
+        ]);
+    });
+});
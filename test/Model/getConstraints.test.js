@@ -0,0 +1,38 @@
+import { jest } from "@jest/globals";
+import { model, mockClient } from "../";
+
+describe(`Model's getConstraints method tests`, () => {
+    test("Returns the constraints of the table", async () => {
+        const constraints = [
+            {
+                name: "posts_user_id_fkey",
+                type: "FOREIGN KEY",
+                columns: ["user_id"],
+                foreign_table: "users",
+                foreign_columns: ["id"],
+                on_delete: "CASCADE",
+                on_update: "NO ACTION",
+                definition: "FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE",
+            },
+        ];
+        mockClient.query.mockResolvedValueOnce({ rows: constraints });
+
+        await expect(model.getConstraints("posts")).resolves.toEqual(constraints);
+
+        const [sql, values] = mockClient.query.mock.lastCall;
+
+        expect(sql).toMatch(/FROM pg_constraint con/);
+        expect(values).toEqual([model.schemaName, "posts"]);
+    });
+
+    test("Runs on the transaction's client", async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await model.transaction(async (trx) => {
+            await expect(trx.getConstraints("posts")).resolves.toEqual([]);
+        });
+
+        expect(mockClient.query.mock.calls.at(-2)[1]).toEqual([model.schemaName, "posts"]);
+        mockClient.query.mockReset();
+    });
+});
@@ -0,0 +1,21 @@
+import { jest } from "@jest/globals";
+import { model, mockClient } from "../";
+
+describe(`Model's getIndexes method tests`, () => {
+    test("Returns the indexes of the table", async () => {
+        const indexes = [
+            {
+                name: "users_email_idx",
+                definition: "CREATE INDEX users_email_idx ON public.users USING btree (email)",
+            },
+        ];
+        mockClient.query.mockResolvedValueOnce({ rows: indexes });
+
+        await expect(model.getIndexes("users")).resolves.toEqual(indexes);
+
+        const [sql, values] = mockClient.query.mock.lastCall;
+
+        expect(sql).toMatch(/FROM pg_indexes/);
+        expect(values).toEqual([model.schemaName, "users"]);
+    });
+});
@@ -0,0 +1,111 @@
+import { beforeEach, jest } from "@jest/globals";
+import { Pool } from "pg";
+import { Model, ConnectionError } from "../../src/index.js";
+import { createPool } from "../../__mocks__/mocks.js";
+
+jest.useFakeTimers();
+
+describe(`Model's stats method tests`, () => {
+    let model, primary, replica;
+
+    beforeEach(() => {
+        primary = createPool({ totalCount: 5, idleCount: 3, waitingCount: 1 });
+        replica = createPool({ totalCount: 2, idleCount: 2 });
+
+        Pool.mockImplementationOnce(() => primary).mockImplementationOnce(() => replica);
+
+        model = new Model({ write: {}, read: [{}] });
+    });
+
+    test(`The clients of every pool are summed up`, () => {
+        expect(model.stats()).toStrictEqual({
+            total: 7,
+            idle: 5,
+            waiting: 1,
+            active: 0,
+            queries: 0,
+            errors: 0,
+            checkouts: 0,
+            checkoutWait: 0,
+        });
+    });
+
+    test(`Queries, errors and checkouts are counted`, async () => {
+        primary.connect.mockImplementationOnce(async () => {
+            jest.advanceTimersByTime(30);
+
+            return {
+                query: jest.fn(async () => {
+                    throw Object.assign(new Error("boom"), { code: "42P01" });
+                }),
+                release: jest.fn(),
+            };
+        });
+
+        await expect(model.table("tests").where("id", 1).delete()).rejects.toThrow("boom");
+        await model.table("tests").count();
+
+        expect(model.stats()).toMatchObject({ active: 0, queries: 2, errors: 1, checkouts: 2, checkoutWait: 30 });
+    });
+
+    test(`Queries of CommandORM itself are counted as well`, async () => {
+        await model.transaction(async (trx) => {
+            await trx.getSchemaData("tests");
+        });
+        await model.exists("tests");
+        await model.healthCheck();
+
+        // BEGIN, the schema query, COMMIT, the exists query and a SELECT 1 for each pool
+        expect(model.stats()).toMatchObject({ queries: 6, errors: 0 });
+    });
+
+    test(`Failed checkouts are counted as errors`, async () => {
+        primary.connect.mockRejectedValueOnce(Object.assign(new Error("refused"), { code: "ECONNREFUSED" }));
+
+        await expect(model.table("tests").where("id", 1).delete()).rejects.toThrow(ConnectionError);
+
+        expect(model.stats()).toMatchObject({ queries: 0, errors: 1, checkouts: 1 });
+    });
+});
+
+describe(`Model's healthCheck method tests`, () => {
+    let model, primary, replica;
+
+    beforeEach(() => {
+        primary = createPool();
+        replica = createPool();
+
+        Pool.mockImplementationOnce(() => primary).mockImplementationOnce(() => replica);
+
+        model = new Model({ write: {}, read: [{}] });
+    });
+
+    test(`Every database is pinged`, async () => {
+        const result = await model.healthCheck();
+        const [primaryClient, replicaClient] = [primary, replica].map((pool) => pool.connect.mock.results[0].value);
+
+        expect(result).toStrictEqual({ healthy: true, duration: 0 });
+        expect((await primaryClient).query).toHaveBeenCalledWith("SELECT 1");
+        expect((await replicaClient).release).toHaveBeenCalled();
+    });
+
+    test(`A failing database makes the check unhealthy`, async () => {
+        replica.connect.mockRejectedValueOnce(Object.assign(new Error("refused"), { code: "ECONNREFUSED" }));
+
+        const result = await model.healthCheck();
+
+        expect(result.healthy).toBe(false);
+        expect(result.error).toBeInstanceOf(ConnectionError);
+    });
+
+    test(`A database that doesn't answer in time makes the check unhealthy`, async () => {
+        primary.connect.mockImplementationOnce(() => new Promise(() => {}));
+
+        const check = model.healthCheck({ timeout: 100 });
+        await jest.advanceTimersByTimeAsync(100);
+        const result = await check;
+
+        expect(result).toMatchObject({ healthy: false, duration: 100 });
+        expect(result.error.message).toBe("Health check timed out after 100ms");
+    });
+});
@@ -0,0 +1,160 @@
+import { beforeEach, jest } from "@jest/globals";
+import { nameFieldMock, jobFieldMock } from "../../__mocks__/mocks.js";
+import { model, mockClient, queries } from "../";
+import { Entity } from "../../src/index.js";
+
+describe(`Model's hook method tests`, () => {
+    const removers = [];
+    const hook = (...args) => {
+        const remove = model.hook(...args);
+        removers.push(remove);
+
+        return remove;
+    };
+
+    beforeEach(() => {
+        mockClient.query.mockReset();
+        jest.clearAllMocks();
+    });
+
+    afterEach(() => {
+        removers.splice(0).forEach((remove) => remove());
+    });
+
+    test(`Insert hooks run around the insert inside a transaction`, async () => {
+        const calls = [];
+
+        hook("tests", "beforeInsert", async ({ table, operation, rows, client, model }) => {
+            calls.push(["before", table, operation, rows]);
+            expect(client).toBe(mockClient);
+            expect(model.client).toBe(mockClient);
+
+            rows[0].job = "audited";
+        });
+        hook("tests", "afterInsert", async ({ rows }) => {
+            calls.push(["after", rows]);
+        });
+
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [nameFieldMock, jobFieldMock] })
+            .mockResolvedValueOnce({ rows: [{ name: "Josh", job: "audited" }] })
+            .mockResolvedValueOnce({ rows: [] });
+
+        const rows = await model.table("tests").insert({ name: "Josh" });
+
+        expect(rows).toEqual([]);
+        expect(calls).toEqual([
+            ["before", "tests", "insert", [{ name: "Josh", job: "audited" }]],
+            ["after", [{ name: "Josh", job: "audited" }]],
+        ]);
+        expect(mockClient.query.mock.calls[3][0]).toEqual({
+            text: "INSERT INTO tests (name,job) VALUES ($1, $2) RETURNING *",
+            values: ["Josh", "audited"],
+        });
+        expect(queries()[4]).toBe("COMMIT");
+    });
+
+    test(`A throwing hook aborts the write`, async () => {
+        hook("tests", "beforeUpdate", async () => {
+            throw new Error("Not allowed");
+        });
+
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await expect(
+            model.table("tests").where("name", "Josh").update({ job: "plumber" })
+        ).rejects.toThrow("Not allowed");
+
+        expect(queries()).toEqual(["BEGIN", "ROLLBACK"]);
+    });
+
+    test(`Update hooks receive the values and the updated rows`, async () => {
+        const after = jest.fn();
+
+        hook("tests", "beforeUpdate", async ({ values }) => {
+            values.updated_by = "auditor";
+        });
+        hook("tests", "afterUpdate", after);
+
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [{ name: "Josh" }] })
+            .mockResolvedValueOnce({ rows: [] });
+
+        const rows = await model
+            .table("tests")
+            .where("name", "Josh")
+            .returning("name")
+            .update({ job: "plumber" });
+
+        expect(rows).toEqual([{ name: "Josh" }]);
+        expect(mockClient.query.mock.calls[1][0]).toEqual({
+            text: "UPDATE tests SET job = $1,updated_by = $2 WHERE name = $3 RETURNING name;",
+            values: ["plumber", "auditor", "Josh"],
+        });
+        expect(after).toHaveBeenCalledWith(
+            expect.objectContaining({ operation: "update", rows: [{ name: "Josh" }] })
+        );
+    });
+
+    test(`Delete hooks reuse the running transaction`, async () => {
+        const before = jest.fn();
+        const after = jest.fn();
+
+        hook("tests", "beforeDelete", before);
+        hook("tests", "afterDelete", after);
+
+        mockClient.query.mockResolvedValue({ rows: [{ name: "Josh" }] });
+
+        await model.transaction(async (trx) => {
+            await trx.table("tests").where("name", "Josh").delete();
+        });
+
+        expect(queries()).toEqual([
+            "BEGIN",
+            "DELETE FROM tests WHERE name = $1 RETURNING *;",
+            "COMMIT",
+        ]);
+        expect(before).toHaveBeenCalledTimes(1);
+        expect(after).toHaveBeenCalledWith(expect.objectContaining({ rows: [{ name: "Josh" }] }));
+    });
+
+    test(`Entities can declare hooks`, async () => {
+        const calls = [];
+
+        hook("tests", "afterDelete", async () => calls.push("table"));
+
+        class Test extends Entity {
+            static table = "tests";
+            static model = model;
+
+            static async afterDelete({ rows }) {
+                calls.push(rows);
+            }
+        }
+
+        mockClient.query.mockResolvedValue({ rows: [{ name: "Josh" }] });
+
+        await Test.where("name", "Josh").delete();
+
+        expect(calls).toEqual(["table", [{ name: "Josh" }]]);
+    });
+
+    test(`Tables without hooks don't start a transaction`, async () => {
+        const remove = hook("tests", "beforeDelete", jest.fn());
+        remove();
+
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await model.table("tests").delete();
+
+        expect(queries()).toEqual(["DELETE FROM tests  ;"]);
+    });
+
+    test(`Invalid hooks throw`, () => {
+        expect(() => model.hook("tests", "beforeSelect", jest.fn())).toThrow();
+        expect(() => model.hook("tests", "beforeInsert", "audit")).toThrow();
+    });
+});
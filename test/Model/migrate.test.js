@@ -0,0 +1,172 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { beforeEach, jest } from "@jest/globals";
+import { model, mockClient, queries } from "../";
+import { DatabaseError } from "../../src/index.js";
+
+describe("Model's migrate tests", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "commandorm-migrations-"));
+    let applied = [];
+
+    const writeMigration = (file, table) => {
+        fs.writeFileSync(
+            path.join(directory, file),
+            `export const up = async (model) => { await model.createTable("${table}", { ifNotExists: true }); };
+            export const down = async (model) => { await model.table("${table}").del("id"); };`
+        );
+    };
+
+    beforeAll(() => {
+        model.migrate.directory = directory;
+        writeMigration("20240101000000_create_users.js", "users");
+        writeMigration("20240102000000_create_posts.js", "posts");
+        fs.writeFileSync(path.join(directory, "notes.txt"), "not a migration");
+        // Migration files are ES modules, like in a project with "type": "module"
+        fs.writeFileSync(path.join(directory, "package.json"), `{ "type": "module" }`);
+    });
+
+    afterAll(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        mockClient.query.mockReset();
+        mockClient.query.mockImplementation(async (query) => {
+            if (/SELECT name, batch/.test(query)) return { rows: applied };
+            if (/SELECT column_name/.test(query.text ?? query)) return { rows: [{ column_name: "id" }] };
+
+            return { rows: [] };
+        });
+        jest.clearAllMocks();
+    });
+
+    test("Run the pending migrations under an advisory lock", async () => {
+        applied = [{ name: "20240101000000_create_users.js", batch: 1 }];
+
+        await expect(model.migrate.latest()).resolves.toEqual(["20240102000000_create_posts.js"]);
+
+        expect(queries()).toEqual([
+            "SELECT pg_advisory_lock(hashtext('commandorm_migrations'))",
+            expect.stringMatching(/^CREATE TABLE IF NOT EXISTS commandorm_migrations/),
+            "SELECT name, batch, migrated_at FROM commandorm_migrations ORDER BY id",
+            "BEGIN",
+            "CREATE TABLE IF NOT EXISTS posts ()",
+            "INSERT INTO commandorm_migrations (name, batch) VALUES ('20240102000000_create_posts.js', '2')",
+            "COMMIT",
+            "SELECT pg_advisory_unlock(hashtext('commandorm_migrations'))",
+        ]);
+        // The migrations run on the client that holds the lock, so a pool of one client doesn't deadlock
+        expect(model.pool.connect).toHaveBeenCalledTimes(1);
+        expect(mockClient.release).toHaveBeenCalledTimes(1);
+    });
+
+    test("A lock that can't be released disconnects the client", async () => {
+        applied = [{ name: "20240101000000_create_users.js", batch: 1 }];
+        mockClient.query.mockImplementation(async (query) => {
+            if (/SELECT name, batch/.test(query)) return { rows: applied };
+            if (/pg_advisory_unlock/.test(query)) throw new Error("connection lost");
+
+            return { rows: [] };
+        });
+
+        await expect(model.migrate.latest()).resolves.toEqual(["20240102000000_create_posts.js"]);
+        expect(mockClient.release).toHaveBeenCalledWith(true);
+    });
+
+    test("A lock that can't be released keeps the error of the migration", async () => {
+        applied = [];
+        mockClient.query.mockImplementation(async (query) => {
+            if (/SELECT name, batch/.test(query)) return { rows: applied };
+            if (/CREATE TABLE IF NOT EXISTS users/.test(query)) throw new Error("boom");
+            if (/pg_advisory_unlock/.test(query)) throw new Error("connection lost");
+
+            return { rows: [] };
+        });
+
+        await expect(model.migrate.latest()).rejects.toThrow("boom");
+        expect(mockClient.release).toHaveBeenCalledWith(true);
+    });
+
+    test("A failing migration is rolled back and releases the lock", async () => {
+        applied = [];
+        mockClient.query.mockImplementation(async (query) => {
+            if (/SELECT name, batch/.test(query)) return { rows: applied };
+            if (/CREATE TABLE IF NOT EXISTS posts/.test(query)) throw new Error("boom");
+
+            return { rows: [] };
+        });
+
+        await expect(model.migrate.latest()).rejects.toThrow("boom");
+
+        expect(queries().slice(-6)).toEqual([
+            "INSERT INTO commandorm_migrations (name, batch) VALUES ('20240101000000_create_users.js', '1')",
+            "COMMIT",
+            "BEGIN",
+            "CREATE TABLE IF NOT EXISTS posts ()",
+            "ROLLBACK",
+            "SELECT pg_advisory_unlock(hashtext('commandorm_migrations'))",
+        ]);
+    });
+
+    test("Errors of the bookkeeping queries are DatabaseErrors with their sql", async () => {
+        mockClient.query.mockImplementation(async (query) => {
+            if (/pg_advisory_lock/.test(query))
+                throw Object.assign(new Error("lock timeout"), { code: "55P03" });
+
+            return { rows: [] };
+        });
+
+        const error = await model.migrate.latest().catch((error) => error);
+
+        expect(error).toBeInstanceOf(DatabaseError);
+        expect(error.sql).toBe("SELECT pg_advisory_lock(hashtext('commandorm_migrations'))");
+        expect(mockClient.release).toHaveBeenCalledTimes(1);
+    });
+
+    test("Roll back the last batch, newest first", async () => {
+        applied = [
+            { name: "20240101000000_create_users.js", batch: 1 },
+            { name: "20240102000000_create_posts.js", batch: 2 },
+        ];
+
+        await expect(model.migrate.rollback()).resolves.toEqual(["20240102000000_create_posts.js"]);
+
+        expect(queries()).toContain("ALTER TABLE posts DROP COLUMN id");
+        expect(queries()).toContain(
+            "DELETE FROM commandorm_migrations WHERE name = '20240102000000_create_posts.js'"
+        );
+        expect(queries()).not.toContain("ALTER TABLE users DROP COLUMN id");
+    });
+
+    test("Rolling back a migration without a file throws", async () => {
+        applied = [{ name: "20230101000000_gone.js", batch: 1 }];
+
+        await expect(model.migrate.rollback()).rejects.toThrow("is missing");
+        expect(queries().at(-1)).toBe("SELECT pg_advisory_unlock(hashtext('commandorm_migrations'))");
+    });
+
+    test("Status lists applied and pending migrations", async () => {
+        applied = [{ name: "20240101000000_create_users.js", batch: 1 }];
+
+        await expect(model.migrate.status()).resolves.toEqual({
+            applied,
+            pending: ["20240102000000_create_posts.js"],
+        });
+    });
+
+    test("Make a new migration file", async () => {
+        const file = await model.migrate.make("add_email");
+
+        expect(path.basename(file)).toMatch(/^\d{14}_add_email\.js$/);
+
+        const migration = await import(file);
+
+        expect(migration.up).toBeInstanceOf(Function);
+        expect(migration.down).toBeInstanceOf(Function);
+
+        fs.rmSync(file);
+
+        await expect(model.migrate.make("../escape")).rejects.toThrow();
+    });
+});
@@ -0,0 +1,139 @@
+import { beforeEach, jest } from "@jest/globals";
+import { Pool } from "pg";
+import { Model } from "../../src/index.js";
+import { createPool } from "../../__mocks__/mocks.js";
+
+describe(`Read replica tests`, () => {
+    let model, primary, replicas;
+
+    const used = () =>
+        [primary, ...replicas].flatMap((pool) =>
+            pool.client.query.mock.calls.map(() => pool.client.name)
+        );
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        primary = createPool({ name: "primary" });
+        replicas = [createPool({ name: "replica-1" }), createPool({ name: "replica-2" })];
+
+        for (const pool of [primary, ...replicas]) Pool.mockImplementationOnce(() => pool);
+
+        model = new Model({
+            write: { host: "primary" },
+            read: [{ host: "replica-1" }, { host: "replica-2" }],
+        });
+    });
+
+    test(`A pool is created for the primary and for each replica`, () => {
+        expect(Pool.mock.calls).toStrictEqual([
+            [{ host: "primary" }],
+            [{ host: "replica-1" }],
+            [{ host: "replica-2" }],
+        ]);
+        expect(model.pool).toBe(primary);
+        expect(model.readPools).toStrictEqual(replicas);
+    });
+
+    test(`Reads go to the replicas in turn`, async () => {
+        await model.table("tests").count();
+        await model.table("tests").first();
+        await model.table("tests").max("age");
+
+        expect(replicas[0].client.query).toHaveBeenCalledTimes(2);
+        expect(replicas[1].client.query).toHaveBeenCalledTimes(1);
+        expect(primary.client.query).not.toHaveBeenCalled();
+    });
+
+    test(`Introspection methods go to the replicas`, async () => {
+        await model.exists("tests");
+        await model.getSchemaData("tests");
+
+        expect(replicas[0].connect).toHaveBeenCalledTimes(1);
+        expect(replicas[1].connect).toHaveBeenCalledTimes(1);
+        expect(primary.connect).not.toHaveBeenCalled();
+    });
+
+    test(`Writes stay on the primary`, async () => {
+        await model.table("tests").where("id", 1).update({ name: "Pete" });
+        await model.table("tests").where("id", 1).delete();
+
+        expect(used()).toStrictEqual(["primary", "primary"]);
+    });
+
+    test(`Transactions stay on the primary`, async () => {
+        await model.transaction(async (trx) => {
+            await trx.table("tests").count();
+            await trx.getSchemaData("tests");
+        });
+
+        expect(replicas.every((pool) => !pool.connect.mock.calls.length)).toBe(true);
+        expect(primary.client.query).toHaveBeenCalledTimes(4);
+    });
+
+    test(`onPrimary sends reads to the primary`, async () => {
+        await model.table("tests").onPrimary().count();
+        await model.table("tests").onPrimary().paginate();
+
+        expect(replicas.every((pool) => !pool.connect.mock.calls.length)).toBe(true);
+        expect(
+            primary.client.query.mock.calls.map(([query]) => query.text).filter(Boolean)
+        ).toStrictEqual([
+            "SELECT COUNT(*) AS count FROM tests;",
+            "SELECT * FROM tests LIMIT $1 OFFSET $2;",
+            "SELECT COUNT(*) AS count FROM tests ;",
+        ]);
+    });
+
+    describe(`A replica that lags behind the primary`, () => {
+        beforeEach(() => {
+            // The replica doesn't have the table yet
+            for (const replica of replicas) replica.client.query.mockResolvedValue({ rows: [] });
+
+            primary.client.query.mockImplementation(async (query) => {
+                if (typeof query !== "string") return { rows: [{ name: "Pete" }] };
+                if (query.includes("PRIMARY KEY")) return { rows: [] };
+
+                return { rows: [{ column_name: "name", is_nullable: "YES", column_default: null }] };
+            });
+        });
+
+        test(`Inserts check their columns on the primary`, async () => {
+            await model.table("tests").insert({ name: "Pete" });
+
+            expect(replicas.every((pool) => !pool.connect.mock.calls.length)).toBe(true);
+        });
+
+        test(`DDL checks its columns on the primary`, async () => {
+            await model.table("tests").rename("name", "title");
+            await model.table("tests").del("name");
+
+            expect(replicas.every((pool) => !pool.connect.mock.calls.length)).toBe(true);
+        });
+
+        test(`onPrimary checks the selected columns on the primary`, async () => {
+            await expect(model.table("tests").onPrimary().select("name").get()).resolves.toStrictEqual([
+                { name: "Pete" },
+            ]);
+
+            expect(replicas.every((pool) => !pool.connect.mock.calls.length)).toBe(true);
+        });
+    });
+
+    test(`Without replicas everything uses the one pool`, async () => {
+        const pool = createPool("single");
+        Pool.mockImplementationOnce(() => pool);
+
+        const single = new Model({ host: "localhost" });
+        await single.table("tests").count();
+
+        expect(single.readPools).toStrictEqual([]);
+        expect(pool.client.query).toHaveBeenCalledTimes(1);
+    });
+
+    test(`close ends every pool`, async () => {
+        await model.close();
+
+        expect([primary, ...replicas].every((pool) => pool.end.mock.calls.length === 1)).toBe(true);
+    });
+});
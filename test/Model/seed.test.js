@@ -0,0 +1,132 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { beforeEach, jest } from "@jest/globals";
+import { model, mockClient, queries } from "../";
+
+describe("Model's seed tests", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "commandorm-seeds-"));
+
+    // Unlike users, posts has a primary key and a column with a default
+    const postsColumns = [
+        { column_name: "id", column_default: "nextval('posts_id_seq'::regclass)", is_nullable: "NO" },
+        { column_name: "title", column_default: null, is_nullable: "NO" },
+        { column_name: "status", column_default: "'draft'::character varying", is_nullable: "YES" },
+    ];
+
+    beforeAll(() => {
+        model.seed.directory = directory;
+        // Seed files are ES modules, like in a project with "type": "module"
+        fs.writeFileSync(path.join(directory, "package.json"), `{ "type": "module" }`);
+        fs.writeFileSync(
+            path.join(directory, "02_posts.js"),
+            `export const seed = async (model) => { await model.table("posts").delete(); };`
+        );
+        fs.writeFileSync(
+            path.join(directory, "01_users.js"),
+            `export const seed = async (model) => { await model.table("users").delete(); };`
+        );
+    });
+
+    afterAll(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        mockClient.query.mockReset();
+        mockClient.query.mockImplementation(async (query, values) => {
+            if (/constraint_type = 'PRIMARY KEY'/.test(query))
+                return { rows: values[0] === "posts" ? [{ column_name: "id", data_type: "integer" }] : [] };
+            if (/SELECT column_name/.test(query)) {
+                if (values[1] === "posts") return { rows: postsColumns };
+
+                return {
+                    rows: ["id", "first_name", "age"].map((column_name) => ({
+                        column_name,
+                        column_default: null,
+                        is_nullable: "YES",
+                    })),
+                };
+            }
+
+            return { rows: [] };
+        });
+        jest.clearAllMocks();
+    });
+
+    test("Run the seed files in order, each in a transaction", async () => {
+        await expect(model.seed.run()).resolves.toEqual(["01_users.js", "02_posts.js"]);
+
+        expect(queries()).toEqual([
+            "BEGIN",
+            "DELETE FROM users  ;",
+            "COMMIT",
+            "BEGIN",
+            "DELETE FROM posts  ;",
+            "COMMIT",
+        ]);
+    });
+
+    test("Run only some of the seed files", async () => {
+        await expect(model.seed.run({ only: ["02_posts.js"] })).resolves.toEqual(["02_posts.js"]);
+        expect(queries()).toEqual(["BEGIN", "DELETE FROM posts  ;", "COMMIT"]);
+    });
+
+    test("A seed without a seed function throws", async () => {
+        const file = path.join(directory, "03_broken.js");
+        fs.writeFileSync(file, `export const up = async () => {};`);
+
+        await expect(model.seed.run({ only: ["03_broken.js"] })).rejects.toThrow(
+            'The "03_broken.js" seed must export a seed function'
+        );
+
+        fs.rmSync(file);
+    });
+
+    test("Insert fixtures in a single transaction", async () => {
+        await model.seed.fixtures({ users: [{ first_name: "Micah", age: 41 }] });
+
+        expect(queries()[0]).toBe("BEGIN");
+        expect(queries().at(-1)).toBe("COMMIT");
+        expect(mockClient.query.mock.calls.at(-2)[0]).toEqual({
+            text: "INSERT INTO users (id,first_name,age) VALUES ($1, $2, $3) ",
+            values: [null, "Micah", 41],
+        });
+    });
+
+    test("Load a CSV file into a table", async () => {
+        const file = path.join(directory, "users.csv");
+        fs.writeFileSync(file, "First Name, age\nMicah, 41\nJohn,\n");
+
+        await expect(
+            model.seed.loadCsv(file, "users", { columns: { "First Name": "first_name" } })
+        ).resolves.toBe(2);
+
+        expect(mockClient.query.mock.calls.at(-2)[0]).toEqual({
+            text: "INSERT INTO users (id,first_name,age) VALUES ($1, $2, $3),($4, $5, $6) ",
+            values: [null, "Micah", "41", null, "John", null],
+        });
+    });
+
+    test("Insert fixtures with their primary keys", async () => {
+        await model.seed.fixtures({ posts: [{ id: 1, title: "First" }, { id: 2, title: "Second", status: "live" }] });
+
+        expect(mockClient.query.mock.calls.at(-2)[0]).toEqual({
+            text: "INSERT INTO posts (id,title,status) VALUES ($1, $2, DEFAULT),($3, $4, $5) ",
+            values: [1, "First", 2, "Second", "live"],
+        });
+    });
+
+    test("Load a CSV file with primary keys and empty values", async () => {
+        const file = path.join(directory, "posts.csv");
+        fs.writeFileSync(file, "id,title,status\n1,First,\n2,Second,live\n");
+
+        await expect(model.seed.loadCsv(file, "posts")).resolves.toBe(2);
+
+        // The empty status is inserted as null, not as the default of the column
+        expect(mockClient.query.mock.calls.at(-2)[0]).toEqual({
+            text: "INSERT INTO posts (id,title,status) VALUES ($1, $2, $3),($4, $5, $6) ",
+            values: ["1", "First", null, "2", "Second", "live"],
+        });
+    });
+});
@@ -3,7 +3,13 @@ import {
     nameFieldMock,
     jobFieldMock,
 } from "../../__mocks__/mocks.js";
-import { model, mockClient } from "../";
+import { model, mockClient, queries, pgError } from "../";
+import {
+    SerializationFailureError,
+    DeadlockError,
+    ValidationError,
+    ConnectionError,
+} from "../../src/index.js";
 
 describe(`Model's begin method tests`, () => {
     test(`Begin a transaction`, async () => {
@@ -58,4 +64,254 @@ describe(`Model's rollback method tests`, () => {
 
         expect(rollbackSpy).toHaveBeenCalled();
     });
-})
\ No newline at end of file
+})
+
+describe(`Model's transaction method tests`, () => {
+    beforeEach(() => {
+        mockClient.query.mockReset();
+        jest.clearAllMocks();
+    });
+
+    test(`Commit when the callback resolves`, async () => {
+        mockClient.query
+            .mockResolvedValueOnce({}) // BEGIN
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [nameFieldMock, jobFieldMock] })
+            .mockResolvedValueOnce({ rows: [{ name: "Josh" }] })
+            .mockResolvedValueOnce({}); // COMMIT
+
+        const rows = await model.transaction(async (trx) => {
+            return await trx.table("tests")
+                .returning("name")
+                .insert({ "name": "Josh", "job": "plumber" });
+        });
+
+        expect(rows).toStrictEqual([{ name: "Josh" }]);
+        expect(queries()[0]).toBe("BEGIN");
+        expect(queries().at(-1)).toBe("COMMIT");
+        expect(mockClient.release).toHaveBeenCalledTimes(1);
+    });
+
+    test(`Rollback when the callback throws`, async () => {
+        mockClient.query
+            .mockResolvedValueOnce({}) // BEGIN
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [nameFieldMock, jobFieldMock] })
+            .mockResolvedValueOnce({}); // ROLLBACK
+
+        await expect(
+            model.transaction(async (trx) => {
+                await trx.table("tests").insert({ "non-existing": 12 });
+            })
+        ).rejects.toThrow();
+
+        expect(queries()).toContain("ROLLBACK");
+        expect(queries()).not.toContain("COMMIT");
+        expect(mockClient.release).toHaveBeenCalledTimes(1);
+    });
+
+    test(`Keep the original error and drop the client when the rollback fails`, async () => {
+        const terminated = new Error("Connection terminated unexpectedly");
+
+        mockClient.query
+            .mockResolvedValueOnce({}) // BEGIN
+            .mockRejectedValueOnce(terminated)
+            .mockRejectedValueOnce(terminated); // ROLLBACK
+
+        await expect(
+            model.transaction(async (trx) => {
+                await trx.table("tests").where("id", 1).update({ name: "Josh" });
+            })
+        ).rejects.toThrow(ConnectionError);
+
+        expect(mockClient.release).toHaveBeenCalledWith(true);
+    });
+
+    test(`Use the transaction handle after it has finished`, async () => {
+        let handle;
+
+        await model.transaction(async (trx) => {
+            handle = trx;
+        });
+
+        await expect(handle.exists("tests")).rejects.toThrow();
+    });
+});
+
+describe(`Transaction's nested transaction method tests`, () => {
+    beforeEach(() => {
+        mockClient.query.mockReset();
+        jest.clearAllMocks();
+    });
+
+    test(`Release the savepoint when the inner callback resolves`, async () => {
+        const result = await model.transaction(async (trx) => {
+            return await trx.transaction(async () => "inner");
+        });
+
+        expect(result).toBe("inner");
+        expect(queries()).toStrictEqual([
+            "BEGIN",
+            "SAVEPOINT sp_1_1",
+            "RELEASE SAVEPOINT sp_1_1",
+            "COMMIT",
+        ]);
+        expect(mockClient.release).toHaveBeenCalledTimes(1);
+    });
+
+    test(`Rollback only the inner block when it throws`, async () => {
+        await model.transaction(async (trx) => {
+            await expect(
+                trx.transaction(async (inner) => {
+                    await inner.transaction(async () => {
+                        throw new Error("Inner failure");
+                    });
+                })
+            ).rejects.toThrow("Inner failure");
+
+            await trx.transaction(async () => {});
+        });
+
+        expect(queries()).toStrictEqual([
+            "BEGIN",
+            "SAVEPOINT sp_1_1",
+            "SAVEPOINT sp_2_1",
+            "ROLLBACK TO SAVEPOINT sp_2_1",
+            "ROLLBACK TO SAVEPOINT sp_1_1",
+            "SAVEPOINT sp_1_2",
+            "RELEASE SAVEPOINT sp_1_2",
+            "COMMIT",
+        ]);
+    });
+
+    test(`Keep the inner error when rolling back to the savepoint fails`, async () => {
+        mockClient.query
+            .mockResolvedValueOnce({}) // BEGIN
+            .mockResolvedValueOnce({}) // SAVEPOINT
+            .mockRejectedValueOnce(new Error("Connection terminated")); // ROLLBACK TO SAVEPOINT
+
+        await expect(
+            model.transaction(async (trx) => {
+                await trx.transaction(async () => {
+                    throw new Error("Inner failure");
+                });
+            })
+        ).rejects.toThrow("Inner failure");
+    });
+
+    test(`Start a nested transaction after the outer one has finished`, async () => {
+        let handle;
+
+        await model.transaction(async (trx) => {
+            handle = trx;
+        });
+
+        await expect(handle.transaction(async () => {})).rejects.toThrow();
+    });
+});
+
+describe(`Model's transaction options tests`, () => {
+    beforeEach(() => {
+        mockClient.query.mockReset();
+        jest.clearAllMocks();
+    });
+
+    test(`Begin with an isolation level and modes`, async () => {
+        await model.transaction(async () => {}, {
+            isolationLevel: "serializable",
+            readOnly: true,
+            deferrable: true,
+        });
+        await model.transaction(async () => {}, { isolationLevel: "REPEATABLE_READ" });
+
+        expect(queries()).toStrictEqual([
+            "BEGIN ISOLATION LEVEL SERIALIZABLE READ ONLY DEFERRABLE",
+            "COMMIT",
+            "BEGIN ISOLATION LEVEL REPEATABLE READ",
+            "COMMIT",
+        ]);
+    });
+
+    test(`Begin a deprecated transaction with an isolation level`, async () => {
+        await model.begin({ isolationLevel: "read committed" });
+
+        expect(mockClient.query).toHaveBeenLastCalledWith("BEGIN ISOLATION LEVEL READ COMMITTED");
+    });
+
+    test(`Retry the whole callback on serialization failures and deadlocks`, async () => {
+        const backoff = jest.fn(() => 0);
+        const fn = jest.fn(async (trx) => {
+            await trx.table("tests").where("id", 1).update({ name: "Josh" });
+
+            return "done";
+        });
+
+        mockClient.query
+            .mockResolvedValueOnce({}) // BEGIN
+            .mockRejectedValueOnce(pgError("40001"))
+            .mockResolvedValueOnce({}) // ROLLBACK
+            .mockResolvedValueOnce({}) // BEGIN
+            .mockResolvedValueOnce({ rows: [] })
+            .mockRejectedValueOnce(pgError("40P01")) // COMMIT
+            .mockResolvedValueOnce({}) // ROLLBACK
+            .mockResolvedValue({ rows: [] });
+
+        const result = await model.transaction(fn, {
+            isolationLevel: "serializable",
+            retries: 5,
+            backoff,
+        });
+
+        expect(result).toBe("done");
+        expect(fn).toHaveBeenCalledTimes(3);
+        expect(backoff.mock.calls).toStrictEqual([[1], [2]]);
+        expect(mockClient.release).toHaveBeenCalledTimes(3);
+    });
+
+    test(`Wait between the retries`, async () => {
+        const fn = jest.fn(async () => {
+            if (fn.mock.calls.length === 1) throw new SerializationFailureError(pgError("40001"));
+        });
+
+        const transaction = model.transaction(fn, { retries: 1, backoff: 100 });
+
+        await jest.advanceTimersByTimeAsync(99);
+        expect(fn).toHaveBeenCalledTimes(1);
+
+        await jest.advanceTimersByTimeAsync(1);
+        await transaction;
+
+        expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    test(`Give up after the last retry`, async () => {
+        const fn = jest.fn(async () => {
+            throw new DeadlockError(pgError("40P01"));
+        });
+
+        await expect(
+            model.transaction(fn, { retries: 2, backoff: () => 0 })
+        ).rejects.toBeInstanceOf(DeadlockError);
+
+        expect(fn).toHaveBeenCalledTimes(3);
+    });
+
+    test(`Don't retry other errors`, async () => {
+        const fn = jest.fn(async () => {
+            throw new Error("Not allowed");
+        });
+
+        await expect(model.transaction(fn, { retries: 3 })).rejects.toThrow("Not allowed");
+
+        expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test(`Invalid options throw`, async () => {
+        await expect(
+            model.transaction(async () => {}, { isolationLevel: "snapshot" })
+        ).rejects.toBeInstanceOf(ValidationError);
+        await expect(model.transaction(async () => {}, { retries: -1 })).rejects.toThrow();
+
+        expect(mockClient.query).not.toHaveBeenCalled();
+    });
+});
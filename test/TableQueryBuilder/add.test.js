@@ -152,4 +152,56 @@ describe("Module's add method tests", () => {
             model.table("tests").add({ name: "something", type: "something" })
         ).rejects.toThrow();
     });
+
+    describe("Expanded column types", () => {
+        beforeEach(() => {
+            mockClient.query.mockReset();
+        });
+
+        test.each([
+            [{ type: "text" }, "TEXT"],
+            [{ type: "boolean" }, "BOOLEAN"],
+            [{ type: "bigint" }, "BIGINT"],
+            [{ type: "smallint" }, "SMALLINT"],
+            [{ type: "uuid" }, "UUID"],
+            [{ type: "json" }, "JSON"],
+            [{ type: "jsonb" }, "JSONB"],
+            [{ type: "timestamptz" }, "TIMESTAMPTZ"],
+            [{ type: "numeric" }, "NUMERIC"],
+            [{ type: "numeric", precision: 12 }, "NUMERIC(12)"],
+            [{ type: "numeric", precision: 12, scale: 4 }, "NUMERIC(12, 4)"],
+            [{ type: "bytea" }, "BYTEA"],
+            [{ type: "inet" }, "INET"],
+            [{ type: "int[]" }, "INT[]"],
+            [{ type: "string[]", length: 16 }, "VARCHAR(16)[]"],
+            [{ type: "enum", enumName: "Mood" }, '"Mood"'],
+            [{ type: "bigserial" }, "BIGSERIAL PRIMARY KEY"],
+            [{ type: "identity" }, "INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY"],
+            [{ type: "identity", always: true }, "INT GENERATED ALWAYS AS IDENTITY PRIMARY KEY"],
+        ])("Add a column of %o", async (columnData, sqlType) => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [nameFieldMock] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            await table.add({ name: "something", ...columnData });
+
+            expect(mockClient.query).toHaveBeenLastCalledWith({
+                text: `ALTER TABLE tests ADD COLUMN something ${sqlType}  ;`,
+                values: [],
+            });
+        });
+
+        test("Invalid expanded columns", async () => {
+            mockClient.query.mockResolvedValue({ rows: [nameFieldMock] });
+
+            await expect(table.add({ name: "something", type: "enum" })).rejects.toThrow();
+            await expect(table.add({ name: "something", type: "pk[]" })).rejects.toThrow();
+            await expect(
+                table.add({ name: "something", type: "bigserial", defaultValue: 0 })
+            ).rejects.toThrow();
+            await expect(table.add({ name: "something", type: "money" })).rejects.toThrow(
+                "Unsupported data type: money"
+            );
+        });
+    });
 });
@@ -118,4 +118,38 @@ describe(`Models max method tests`, () => {
 
         expect(rows).toBe("Micah");
     });
-});
\ No newline at end of file
+});
+describe(`Models aggregate methods with where and join clauses`, () => {
+    beforeEach(() => {
+        mockClient.query.mockClear();
+    });
+
+    test(`Aggregate only the matching rows`, async () => {
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [{ count: "1" }] })
+            .mockResolvedValueOnce({ rows: [{ max: 32 }] });
+
+        const rows = await model.table("tests")
+            .select("name")
+            .innerJoin("jobs", "jobs.id", "tests.job_id")
+            .where("jobs.title", "rat")
+            .orderBy("name")
+            .limit(1)
+            .count();
+
+        const oldest = await model.table("tests").where("job", null).max("age");
+
+        expect(rows).toBe(1);
+        expect(oldest).toBe(32);
+        expect(mockClient.query.mock.calls.map(([query]) => query)).toStrictEqual([
+            {
+                text: "SELECT COUNT(*) AS count FROM tests INNER JOIN jobs ON jobs.id = tests.job_id WHERE jobs.title = $1;",
+                values: ["rat"],
+            },
+            {
+                text: "SELECT MAX(age) AS max FROM tests WHERE job IS NULL;",
+                values: [],
+            },
+        ]);
+    });
+});
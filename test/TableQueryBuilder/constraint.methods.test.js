@@ -0,0 +1,116 @@
+import { beforeEach, jest } from "@jest/globals";
+import { model, mockClient } from "../";
+
+describe("Constraint methods tests", () => {
+    const table = model.table("posts");
+
+    beforeEach(() => {
+        mockClient.query.mockReset();
+        jest.clearAllMocks();
+    });
+
+    test("Add a foreign key with referential actions", async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+        await table.foreign("user_id").references("users.id").onDelete("cascade").onUpdate("set null");
+
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text:
+                "ALTER TABLE posts ADD CONSTRAINT posts_user_id_fkey FOREIGN KEY (user_id) " +
+                "REFERENCES users (id) ON DELETE CASCADE ON UPDATE SET NULL",
+            values: [],
+        });
+    });
+
+    test("Add a composite foreign key with a custom name", async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+        await table.foreign(["author_id", "author_org"]).references("authors", ["id", "org"]).named("posts_author");
+
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text:
+                "ALTER TABLE posts ADD CONSTRAINT posts_author FOREIGN KEY (author_id,author_org) " +
+                "REFERENCES authors (id,org)",
+            values: [],
+        });
+    });
+
+    test("Add unique, check and primary key constraints", async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await table.unique(["user_id", "slug"]);
+        await table.check("views >= 0").named("positive_views");
+        await table.primary(["id", "user_id"]);
+
+        expect(mockClient.query.mock.calls.map(([{ text }]) => text)).toEqual([
+            "ALTER TABLE posts ADD CONSTRAINT posts_user_id_slug_key UNIQUE (user_id,slug)",
+            "ALTER TABLE posts ADD CONSTRAINT positive_views CHECK (views >= 0)",
+            "ALTER TABLE posts ADD CONSTRAINT posts_pkey PRIMARY KEY (id,user_id)",
+        ]);
+    });
+
+    test("Unnamed check constraints are left for PostgreSQL to name", async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await table.check("views >= 0");
+        await table.check("views < 1000000");
+
+        expect(mockClient.query.mock.calls.map(([{ text }]) => text)).toEqual([
+            "ALTER TABLE posts ADD CHECK (views >= 0)",
+            "ALTER TABLE posts ADD CHECK (views < 1000000)",
+        ]);
+    });
+
+    test("Question marks of check constraints are sent as they are", async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await table.check("data ? 'k'");
+
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "ALTER TABLE posts ADD CHECK (data ? 'k')",
+            values: [],
+        });
+    });
+
+    test("Awaiting a constraint again doesn't add it twice", async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        const unique = table.unique("slug");
+        await unique;
+        await unique;
+
+        expect(mockClient.query).toHaveBeenCalledTimes(1);
+    });
+
+    test("Invalid constraints throw", async () => {
+        expect(() => table.foreign("user_id").references("users")).toThrow();
+        expect(() => table.foreign("user_id").references("users", ["id", "org"])).toThrow();
+        expect(() => table.foreign("user_id").onDelete("explode")).toThrow();
+        expect(() => table.unique([])).toThrow();
+        expect(() => table.check("")).toThrow();
+        expect(() => table.unique("select")).toThrow();
+
+        await expect(table.foreign("user_id")).rejects.toThrow("doesn't reference any table");
+        expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    test("Drop a constraint", async () => {
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [{ name: "posts_user_id_fkey" }] })
+            .mockResolvedValueOnce({ rows: [] });
+
+        await table.dropConstraint("posts_user_id_fkey");
+
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "ALTER TABLE posts DROP CONSTRAINT posts_user_id_fkey",
+            values: [],
+        });
+    });
+
+    test("Drop a non-existing constraint", async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+        await expect(table.dropConstraint("something")).rejects.toThrow();
+        expect(mockClient.query).toHaveBeenCalledTimes(1);
+    });
+});
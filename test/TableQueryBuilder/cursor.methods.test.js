@@ -0,0 +1,161 @@
+import { beforeEach, jest } from "@jest/globals";
+import { finished } from "node:stream/promises";
+import { model, mockClient, queries as sent } from "../";
+import { users } from "../../__mocks__/mocks.js";
+import { DatabaseError } from "../../src/index.js";
+
+// The cursors get random names, so they're all called "cursor" here
+const queries = () =>
+    sent(true).map((query) =>
+        typeof query === "string" ? query.replace(/cursor_\w+/, "cursor") : {
+            ...query,
+            text: query.text.replace(/cursor_\w+/, "cursor"),
+        }
+    );
+
+beforeEach(() => {
+    jest.useRealTimers();
+    mockClient.query.mockReset();
+    jest.clearAllMocks();
+});
+
+describe(`TableQueryBuilder cursor method tests`, () => {
+    test(`Fetch the rows in batches`, async () => {
+        mockClient.query
+            .mockResolvedValueOnce({}) // BEGIN
+            .mockResolvedValueOnce({}) // DECLARE
+            .mockResolvedValueOnce({ rows: users.slice(0, 2) })
+            .mockResolvedValueOnce({ rows: users.slice(2) })
+            .mockResolvedValueOnce({}) // CLOSE
+            .mockResolvedValueOnce({}); // COMMIT
+
+        const rows = [];
+
+        for await (const row of model.table("tests").where("age", ">", 18).cursor({ batchSize: 2 })) {
+            rows.push(row);
+        }
+
+        expect(rows).toStrictEqual(users);
+        expect(queries()).toStrictEqual([
+            "BEGIN",
+            {
+                text: "DECLARE cursor NO SCROLL CURSOR FOR SELECT * FROM tests WHERE age > $1",
+                values: [18],
+            },
+            "FETCH 2 FROM cursor",
+            "FETCH 2 FROM cursor",
+            "CLOSE cursor",
+            "COMMIT",
+        ]);
+        expect(mockClient.release).toHaveBeenCalledTimes(1);
+    });
+
+    test(`Release the client when the iteration is stopped early`, async () => {
+        mockClient.query
+            .mockResolvedValueOnce({})
+            .mockResolvedValueOnce({})
+            .mockResolvedValueOnce({ rows: users.slice(0, 2) })
+            .mockResolvedValueOnce({}); // ROLLBACK
+
+        for await (const row of model.table("tests").cursor({ batchSize: 2 })) {
+            expect(row).toStrictEqual(users[0]);
+            break;
+        }
+
+        expect(queries().slice(-1)).toStrictEqual(["ROLLBACK"]);
+        expect(mockClient.release).toHaveBeenCalledTimes(1);
+    });
+
+    test(`Release the client when a query fails`, async () => {
+        mockClient.query
+            .mockResolvedValueOnce({})
+            .mockRejectedValueOnce(new Error("relation doesn't exist"))
+            .mockResolvedValueOnce({});
+
+        const iterate = async () => {
+            for await (const row of model.table("missing").cursor()) row;
+        };
+
+        await expect(iterate()).rejects.toThrow("relation doesn't exist");
+        expect(queries().slice(-1)).toStrictEqual(["ROLLBACK"]);
+        expect(mockClient.release).toHaveBeenCalledTimes(1);
+    });
+
+    test(`Turn errors of the database into DatabaseErrors with their sql`, async () => {
+        mockClient.query
+            .mockResolvedValueOnce({})
+            .mockResolvedValueOnce({})
+            .mockRejectedValueOnce(Object.assign(new Error("out of memory"), { code: "53200" }));
+
+        const iterate = async () => {
+            for await (const row of model.table("tests").cursor({ batchSize: 2 })) row;
+        };
+
+        const error = await iterate().catch((error) => error);
+
+        expect(error).toBeInstanceOf(DatabaseError);
+        expect(error.code).toBe("53200");
+        expect(error.sql).toMatch(/^FETCH 2 FROM cursor_\w+$/);
+    });
+
+    test(`Reuse the client of a transaction`, async () => {
+        mockClient.query
+            .mockResolvedValueOnce({}) // BEGIN
+            .mockResolvedValueOnce({}) // DECLARE
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({}) // CLOSE
+            .mockResolvedValueOnce({}); // COMMIT
+
+        await model.transaction(async (trx) => {
+            for await (const row of trx.table("tests").cursor()) row;
+        });
+
+        expect(queries()).toStrictEqual([
+            "BEGIN",
+            { text: "DECLARE cursor NO SCROLL CURSOR FOR SELECT * FROM tests", values: [] },
+            "FETCH 100 FROM cursor",
+            "CLOSE cursor",
+            "COMMIT",
+        ]);
+        expect(mockClient.release).toHaveBeenCalledTimes(1);
+    });
+
+    test(`Use an invalid batch size`, () => {
+        expect(() => model.table("tests").cursor({ batchSize: 0 })).toThrow();
+    });
+});
+
+describe(`TableQueryBuilder stream method tests`, () => {
+    test(`Read the rows from a stream`, async () => {
+        mockClient.query
+            .mockResolvedValueOnce({})
+            .mockResolvedValueOnce({})
+            .mockResolvedValueOnce({ rows: users })
+            .mockResolvedValueOnce({})
+            .mockResolvedValueOnce({});
+
+        const rows = await model.table("tests").select("name").stream({ batchSize: 5 }).toArray();
+
+        expect(rows).toStrictEqual(users);
+        expect(mockClient.release).toHaveBeenCalledTimes(1);
+    });
+
+    test(`Release the client when the stream is destroyed`, async () => {
+        // The stream reads ahead, so every FETCH returns a full batch
+        mockClient.query.mockResolvedValue({ rows: users.slice(0, 1) });
+
+        const stream = model.table("tests").stream({ batchSize: 1 });
+
+        for await (const row of stream) {
+            expect(row).toStrictEqual(users[0]);
+            break;
+        }
+
+        // The client is released once the stream has closed
+        await finished(stream).catch(() => {});
+
+        expect(stream.destroyed).toBe(true);
+        expect(queries().slice(-1)).toStrictEqual(["ROLLBACK"]);
+        expect(mockClient.release).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,64 @@
+import { beforeEach, jest } from "@jest/globals";
+import { model, mockClient } from "../";
+import { raw, count, sum, avg, min, max } from "../../src/expressions.js";
+import { nameFieldMock, jobFieldMock, ageFieldMock } from "../../__mocks__/mocks.js";
+
+beforeEach(() => {
+    mockClient.query.mockReset();
+    jest.clearAllMocks();
+});
+
+describe(`TableQueryBuilder groupBy and having methods tests`, () => {
+    test(`Select aggregates grouped by a column`, async () => {
+        const grouped = [
+            { job: "rat", n: "1", avg_age: "29" },
+            { job: null, n: "2", avg_age: "32" },
+        ];
+
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [nameFieldMock, jobFieldMock, ageFieldMock] })
+            .mockResolvedValueOnce({ rows: grouped });
+
+        const rows = await model.table("tests")
+            .select("job", count("id").as("n"), avg("tests.age").as("avg_age"))
+            .where("age", ">", 18)
+            .groupBy("job")
+            .having(count("id"), ">", 0)
+            .orHaving(max("age"), null)
+            .get();
+
+        expect(rows).toStrictEqual(grouped);
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text:
+                "SELECT job,COUNT(id) AS n,AVG(tests.age) AS avg_age FROM tests " +
+                "WHERE age > $1 GROUP BY job HAVING COUNT(id) > $2 OR MAX(age) IS NULL;",
+            values: [18, 0],
+        });
+    });
+
+    test(`Use raw expressions and groups in having`, () => {
+        const native = model.table("tests")
+            .select("job", raw("string_agg(name, ?)", [", "]).as("names"), sum("age"), min("age"))
+            .groupBy("job", raw("date_trunc(?, created_at)", ["day"]))
+            .having((q) => q.having(count(), ">=", 2).orHaving(sum("age"), "<", 100))
+            .havingRaw("bool_and(age > ?)", [10])
+            .toNative();
+
+        expect(native).toStrictEqual({
+            sql:
+                "SELECT job,string_agg(name, $1) AS names,SUM(age),MIN(age) FROM tests " +
+                "GROUP BY job, date_trunc($2, created_at) " +
+                "HAVING (COUNT(*) >= $3 OR SUM(age) < $4) AND (bool_and(age > $5));",
+            bindings: [", ", "day", 2, 100, 10],
+        });
+    });
+
+    test(`Use invalid arguments`, () => {
+        expect(() => model.table("tests").groupBy()).toThrow();
+        expect(() => model.table("tests").orHaving(count(), ">", 1)).toThrow();
+        expect(() => model.table("tests").havingRaw()).toThrow();
+        expect(() => model.table("tests").having(12, ">", 1)).toThrow();
+        expect(() => count("1id")).toThrow();
+        expect(() => count().as("select")).toThrow();
+    });
+});
@@ -0,0 +1,103 @@
+import { beforeEach, jest } from "@jest/globals";
+import { model, mockClient } from "../";
+import { raw } from "../../src/index.js";
+
+describe("Index methods tests", () => {
+    const table = model.table("users");
+
+    beforeEach(() => {
+        mockClient.query.mockReset();
+        jest.clearAllMocks();
+    });
+
+    test("Create an index with the default options", async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+        await table.createIndex("email");
+
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "CREATE INDEX users_email_idx ON users USING btree (email)",
+            values: [],
+        });
+    });
+
+    test("Create a unique partial index concurrently", async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+        await table.createIndex(["org_id", "email"], {
+            name: "users_active_email",
+            unique: true,
+            where: "deleted_at IS NULL",
+            concurrently: true,
+        });
+
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text:
+                "CREATE UNIQUE INDEX CONCURRENTLY users_active_email ON users " +
+                "USING btree (org_id, email) WHERE deleted_at IS NULL",
+            values: [],
+        });
+    });
+
+    test("Question marks of DDL are sent as they are", async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+        await table.createIndex("data", { method: "gin", where: "data ? 'k'" });
+
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "CREATE INDEX users_data_idx ON users USING gin (data) WHERE data ? 'k'",
+            values: [],
+        });
+    });
+
+    test("Create an expression index with another method", async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+        await table.createIndex([raw("lower(email)")], {
+            name: "users_lower_email",
+            method: "hash",
+            where: raw("role = ?", ["admin's"]),
+        });
+
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text:
+                "CREATE INDEX users_lower_email ON users USING hash ((lower(email))) " +
+                "WHERE role = 'admin''s'",
+            values: [],
+        });
+    });
+
+    test("Invalid indexes throw", async () => {
+        await expect(table.createIndex([])).rejects.toThrow();
+        await expect(table.createIndex("email", { method: "brin" })).rejects.toThrow();
+        await expect(table.createIndex("select")).rejects.toThrow();
+
+        await model.transaction(async (trx) => {
+            await expect(
+                trx.table("users").createIndex("email", { concurrently: true })
+            ).rejects.toThrow();
+        });
+
+        expect(mockClient.query.mock.calls).toEqual([["BEGIN"], ["COMMIT"]]);
+    });
+
+    test("Drop an index", async () => {
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [{ name: "users_email_idx" }] })
+            .mockResolvedValueOnce({ rows: [] });
+
+        await table.dropIndex("users_email_idx", { concurrently: true });
+
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "DROP INDEX CONCURRENTLY users_email_idx",
+            values: [],
+        });
+    });
+
+    test("Drop a non-existing index", async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+        await expect(table.dropIndex("something")).rejects.toThrow();
+        expect(mockClient.query).toHaveBeenCalledTimes(1);
+    });
+});
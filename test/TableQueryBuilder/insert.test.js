@@ -1,6 +1,7 @@
 import { jest } from "@jest/globals";
 import { model, mockClient } from "../";
 import {
+    idFieldMock,
     nameFieldMock,
     jobFieldMock,
     ageFieldMock,
@@ -50,6 +51,24 @@ describe("Model's insert method tests", () => {
         expect(insertSpy).toHaveBeenCalledTimes(3);
     });
 
+    test(`Rows without primary keys get the defaults next to rows with them`, async () => {
+        mockClient.query
+            .mockResolvedValueOnce({
+                rows: [{ column_name: "id", data_type: "integer" }],
+            })
+            .mockResolvedValueOnce({
+                rows: [idFieldMock, nameFieldMock, jobFieldMock, ageFieldMock],
+            })
+            .mockResolvedValueOnce({ rows: [] });
+
+        await model.table("tests").insert([{ id: 7, name: "Micah", age: 0 }, { name: "Gustavo", age: null }]);
+
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "INSERT INTO tests (id,name,job,age) VALUES ($1, $2, DEFAULT, $3),(DEFAULT, $4, DEFAULT, $5) ",
+            values: [7, "Micah", 0, "Gustavo", null],
+        });
+    });
+
     test(`Insert into invalid table name, column`, async () => {
         mockClient.query
             .mockResolvedValueOnce({
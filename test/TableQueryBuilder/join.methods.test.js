@@ -134,4 +134,61 @@ describe(`Model's rightJoin method tests`, () => {
     
         expect(() => query.onAnd()).toThrow();
     });
-});
\ No newline at end of file
+});
+describe(`Model's multiple joins tests`, () => {
+    test(`Keep every join with its own ON clause`, () => {
+        const native = model.table("tests")
+            .select("name", "address", "title")
+            .innerJoin("users_addresses as ua", "tests.id", "ua.user_id")
+            .leftJoin("jobs", function () {
+                this.on("jobs.id", "=", "tests.job_id")
+                    .onOr("jobs.id", null);
+            })
+            .rightJoin("cities")
+            .on("cities.id", "ua.city_id")
+            .onAnd("cities.population", ">", "ua.size")
+            .fullOuterJoin("countries", (q) => {
+                q.on("countries.id", "cities.country_id").onVal("countries.code", "UA");
+            })
+            .toNative();
+
+        expect(native).toStrictEqual({
+            sql:
+                "SELECT name,address,title FROM tests " +
+                "INNER JOIN users_addresses AS ua ON tests.id = ua.user_id " +
+                "LEFT JOIN jobs ON jobs.id = tests.job_id OR jobs.id IS NULL " +
+                "RIGHT JOIN cities ON cities.id = ua.city_id AND cities.population > ua.size " +
+                "FULL OUTER JOIN countries ON countries.id = cities.country_id AND countries.code = $1;",
+            bindings: ["UA"],
+        });
+    });
+
+    test(`Number the bindings of joins before the ones of where`, () => {
+        const native = model.table("tests")
+            .select()
+            .where("name", "Micah")
+            .innerJoin("jobs", (q) => {
+                q.on("jobs.id", "tests.job_id")
+                    .on((q) => q.onVal("jobs.salary", ">", 100).onOr("jobs.title", ["rat"]));
+            })
+            .crossJoin("colors")
+            .toNative();
+
+        expect(native).toStrictEqual({
+            sql:
+                "SELECT * FROM tests " +
+                "INNER JOIN jobs ON jobs.id = tests.job_id AND (jobs.salary > $1 OR jobs.title IN ($2)) " +
+                "CROSS JOIN colors WHERE name = $3;",
+            bindings: [100, "rat", "Micah"],
+        });
+    });
+
+    test(`Use join methods with invalid arguments`, () => {
+        expect(() => model.table("tests").on("tests.id", "jobs.id")).toThrow();
+        expect(() => model.table("tests").onVal("jobs.id", 1)).toThrow();
+        expect(() => model.table("tests").crossJoin("jobs").on("a", "b")).toThrow();
+        expect(() => model.table("tests").crossJoin("jobs", "a", "b")).toThrow();
+        expect(() => model.table("tests").innerJoin(12)).toThrow();
+        expect(() => model.table("tests").innerJoin("jobs").onVal("jobs.id", "~", 1)).toThrow();
+    });
+});
@@ -29,7 +29,7 @@ describe(`Models last method tests`, () => {
 
     test(`Get the last item with primary keys`, async () => {
         mockClient.query
-            .mockResolvedValueOnce({ rows: [ "age" ] }) // Found a primary key
+            .mockResolvedValueOnce({ rows: [{ column_name: "age" }] }) // Found a primary key
             .mockResolvedValueOnce({
                 rows: users.filter((u) => u.name === "Gustavo" && u.age === null),
             });
@@ -39,4 +39,27 @@ describe(`Models last method tests`, () => {
         expect(lastItem.name).toBe("Gustavo");
         expect(lastSpy).toHaveBeenCalled();
     });
-});
\ No newline at end of file
+
+    test(`Reverse the order of the query`, async () => {
+        mockClient.query.mockReset();
+        mockClient.query.mockResolvedValueOnce({ rows: [users[0]] });
+
+        const lastItem = await model.table("tests")
+            .orderBy("age", "desc", "nulls last")
+            .orderBy("name")
+            .last();
+
+        expect(lastItem).toStrictEqual(users[0]);
+        expect(mockClient.query).toHaveBeenCalledTimes(1);
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "SELECT * FROM tests ORDER BY age ASC NULLS FIRST, name DESC LIMIT $1;",
+            values: [1],
+        });
+    });
+
+    test(`A raw order can't be reversed`, async () => {
+        await expect(model.table("tests").orderByRaw("random()").last()).rejects.toThrow(
+            `"last" method can't reverse an order made by "orderByRaw"`
+        );
+    });
+});
@@ -5,6 +5,7 @@ import {
     gpaFieldMock,
     dateFieldMock,
 } from "../../__mocks__/mocks.js";
+import { isConvertible } from "../../src/columnTypes.js";
 
 describe(`Model's modify method tests`, () => {
     const table = model.table("tests");
@@ -90,4 +91,82 @@ describe(`Model's modify method tests`, () => {
             table.modify({ name: "something", type: "int" })
         ).rejects.toThrow();
     });
+
+    describe("Convertibility and USING", () => {
+        beforeEach(() => {
+            mockClient.query.mockReset();
+            jest.clearAllMocks();
+        });
+
+        test("Convert a string column into jsonb with a USING expression", async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [nameFieldMock, gpaFieldMock] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            await table.modify({ name: "name", type: "jsonb", using: "to_jsonb(name)" });
+
+            expect(mockClient.query).toHaveBeenLastCalledWith({
+                text: "ALTER TABLE tests ALTER COLUMN name TYPE JSONB USING to_jsonb(name);  ",
+                values: [],
+            });
+        });
+
+        test("nullable: true drops NOT NULL", async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [nameFieldMock] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            await table.modify({ name: "name", type: "text", nullable: true });
+
+            expect(mockClient.query).toHaveBeenLastCalledWith({
+                text: "ALTER TABLE tests ALTER COLUMN name TYPE TEXT; ALTER TABLE tests ALTER COLUMN name DROP NOT NULL; ",
+                values: [],
+            });
+        });
+
+        test("Converting without USING is checked against the matrix", async () => {
+            mockClient.query.mockResolvedValue({ rows: [nameFieldMock, gpaFieldMock, dateFieldMock] });
+
+            await expect(table.modify({ name: "name", type: "uuid" })).rejects.toThrow(
+                'Can not convert the "character varying" column name into UUID without a USING expression.'
+            );
+            await expect(table.modify({ name: "gpa", type: "boolean" })).rejects.toThrow();
+            await expect(table.modify({ name: "gpa", type: "int[]" })).rejects.toThrow();
+            await expect(table.modify({ name: "date_of_birth", type: "time" })).rejects.toThrow();
+            await expect(
+                table.modify({ name: "gpa", type: "pk", using: "gpa::int" })
+            ).rejects.toThrow("Unsupported data type: pk.");
+
+            await table.modify({ name: "gpa", type: "numeric" });
+            await table.modify({ name: "date_of_birth", type: "timestamptz" });
+            await table.modify({ name: "gpa", type: "text" });
+
+            expect(mockClient.query.mock.calls.slice(-6).filter((_, i) => i % 2).map(([q]) => q.text)).toEqual([
+                "ALTER TABLE tests ALTER COLUMN gpa TYPE NUMERIC;  ",
+                "ALTER TABLE tests ALTER COLUMN date_of_birth TYPE TIMESTAMPTZ;  ",
+                "ALTER TABLE tests ALTER COLUMN gpa TYPE TEXT;  ",
+            ]);
+        });
+    });
+
+    test("Date and time conversions follow the casts of PostgreSQL", () => {
+        expect(isConvertible("date", "timestamp without time zone")).toBe(true);
+        expect(isConvertible("timestamptz", "date")).toBe(true);
+        expect(isConvertible("time", "interval")).toBe(true);
+
+        expect(isConvertible("date", "time without time zone")).toBe(false);
+        expect(isConvertible("timestamp", "time without time zone")).toBe(false);
+        expect(isConvertible("time", "date")).toBe(false);
+        expect(isConvertible("date", "interval")).toBe(false);
+        expect(isConvertible("timestamptz", "interval")).toBe(false);
+    });
+
+    test("Arrays are converted by their element types", () => {
+        expect(isConvertible("bigint[]", "ARRAY", "_int4")).toBe(true);
+        expect(isConvertible("text[]", "ARRAY", "_int4")).toBe(true);
+
+        expect(isConvertible("int[]", "ARRAY", "_text")).toBe(false);
+        expect(isConvertible("date[]", "ARRAY", "_time")).toBe(false);
+        expect(isConvertible("int[]", "integer", "int4")).toBe(false);
+    });
 });
@@ -0,0 +1,68 @@
+import { model } from "../";
+import { count, raw } from "../../src/expressions.js";
+
+describe(`TableQueryBuilder orderBy method tests`, () => {
+    test(`Order every column in its own direction`, () => {
+        const sql = model.table("tests")
+            .select()
+            .orderBy("name", "asc")
+            .orderBy("age", "DESC", "nulls last")
+            .orderBy({ column: "job", order: "desc", nulls: "first" })
+            .toSql();
+
+        expect(sql).toBe(
+            "SELECT * FROM tests ORDER BY name ASC, age DESC NULLS LAST, job DESC NULLS FIRST;"
+        );
+    });
+
+    test(`Order by several columns at once`, () => {
+        const sql = model.table("tests")
+            .select()
+            .orderBy("name", "age")
+            .desc()
+            .toSql();
+
+        expect(sql).toBe("SELECT * FROM tests ORDER BY name ASC, age DESC;");
+    });
+
+    test(`Order by expressions without a direction`, () => {
+        const native = model.table("tests")
+            .select()
+            .orderBy(raw("lower(name)"))
+            .orderBy(raw("age % ?", [10]), "job")
+            .toNative();
+
+        expect(native).toStrictEqual({
+            sql: "SELECT * FROM tests ORDER BY lower(name) ASC, age % $1 ASC, job ASC;",
+            bindings: [10],
+        });
+    });
+
+    test(`Order by joined table columns, expressions and raw sql`, () => {
+        const native = model.table("tests")
+            .select("tests.name", count("jobs.id").as("jobs"))
+            .leftJoin("jobs", "jobs.user_id", "tests.id")
+            .where("tests.age", ">", 18)
+            .groupBy("tests.name")
+            .orderBy([{ column: "jobs.title", nulls: "last" }, "tests.name"])
+            .orderBy(count("jobs.id"), "desc")
+            .orderByRaw("array_position(?, tests.id)", [[3, 1, 2]])
+            .limit(10)
+            .toNative();
+
+        expect(native).toStrictEqual({
+            sql:
+                "SELECT tests.name,COUNT(jobs.id) AS jobs FROM tests " +
+                "LEFT JOIN jobs ON jobs.user_id = tests.id WHERE tests.age > $1 GROUP BY tests.name " +
+                "ORDER BY jobs.title ASC NULLS LAST, tests.name ASC, COUNT(jobs.id) DESC, " +
+                "array_position($2, tests.id) LIMIT $3;",
+            bindings: [18, [3, 1, 2], 10],
+        });
+    });
+
+    test(`Use invalid arguments`, () => {
+        expect(() => model.table("tests").orderBy("name", "desc", "nulls middle")).toThrow();
+        expect(() => model.table("tests").orderBy({ column: "name", order: "up" })).toThrow();
+        expect(() => model.table("tests").orderByRaw("")).toThrow();
+    });
+});
@@ -0,0 +1,209 @@
+import { beforeEach, jest } from "@jest/globals";
+import { model, mockClient } from "../";
+import { count } from "../../src/expressions.js";
+import {
+    idFieldMock,
+    nameFieldMock,
+    jobFieldMock,
+    ageFieldMock,
+    users,
+} from "../../__mocks__/mocks.js";
+
+const schema = { rows: [idFieldMock, nameFieldMock, jobFieldMock, ageFieldMock] };
+const idRows = users.map((user, index) => ({ id: index + 1, ...user }));
+
+beforeEach(() => {
+    mockClient.query.mockReset();
+    jest.clearAllMocks();
+});
+
+describe(`TableQueryBuilder offset method tests`, () => {
+    test(`Skip rows`, () => {
+        const native = model.table("tests").select().limit(2).offset(4).toNative();
+
+        expect(native).toStrictEqual({
+            sql: "SELECT * FROM tests LIMIT $1 OFFSET $2;",
+            bindings: [2, 4],
+        });
+    });
+
+    test(`Use an invalid offset`, () => {
+        expect(() => model.table("tests").offset(-1)).toThrow();
+        expect(() => model.table("tests").offset("1")).toThrow();
+    });
+});
+
+describe(`TableQueryBuilder paginate method tests`, () => {
+    test(`Get a page with the total`, async () => {
+        mockClient.query
+            .mockResolvedValueOnce(schema)
+            .mockResolvedValueOnce({ rows: idRows.slice(2) })
+            .mockResolvedValueOnce({ rows: [{ count: "3" }] });
+
+        const page = await model.table("tests")
+            .where("age", ">", 20)
+            .paginate({ page: 2, perPage: 2 });
+
+        expect(page).toStrictEqual({
+            data: idRows.slice(2),
+            total: 3,
+            page: 2,
+            lastPage: 2,
+        });
+        expect(mockClient.query.mock.calls.slice(1).map(([query]) => query)).toStrictEqual([
+            {
+                text: "SELECT * FROM tests WHERE age > $1 LIMIT $2 OFFSET $3;",
+                values: [20, 2, 2],
+            },
+            {
+                text: "SELECT COUNT(*) AS count FROM tests WHERE age > $1;",
+                values: [20],
+            },
+        ]);
+    });
+
+    test(`Count the groups of a grouped query`, async () => {
+        mockClient.query
+            .mockResolvedValueOnce(schema)
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [{ count: "0" }] });
+
+        const page = await model.table("tests")
+            .select("job", count().as("n"))
+            .groupBy("job")
+            .having(count(), ">", 1)
+            .paginate();
+
+        expect(page).toStrictEqual({ data: [], total: 0, page: 1, lastPage: 1 });
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text:
+                "SELECT COUNT(*) AS count FROM (SELECT job,COUNT(*) AS n FROM tests " +
+                "GROUP BY job HAVING COUNT(*) > $1) AS paginated;",
+            values: [1],
+        });
+    });
+
+    test(`Use invalid page options`, async () => {
+        await expect(model.table("tests").paginate({ page: 0 })).rejects.toThrow();
+        await expect(model.table("tests").paginate({ perPage: 1.5 })).rejects.toThrow();
+    });
+});
+
+describe(`TableQueryBuilder cursorPaginate method tests`, () => {
+    test(`Walk through the pages with the cursor`, async () => {
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [{ column_name: "id", data_type: "integer" }] })
+            .mockResolvedValueOnce(schema)
+            .mockResolvedValueOnce({ rows: idRows });
+
+        const firstPage = await model.table("tests")
+            .where("job", "rat")
+            .or("job", null)
+            .cursorPaginate({ orderBy: "name", limit: 2 });
+
+        expect(firstPage.data).toStrictEqual(idRows.slice(0, 2));
+        expect(firstPage.nextCursor).toEqual(expect.any(String));
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "SELECT * FROM tests WHERE job = $1 OR job IS NULL ORDER BY tests.name ASC, tests.id ASC LIMIT $2;",
+            values: ["rat", 3],
+        });
+
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [{ column_name: "id", data_type: "integer" }] })
+            .mockResolvedValueOnce(schema)
+            .mockResolvedValueOnce({ rows: idRows.slice(2) });
+
+        const secondPage = await model.table("tests")
+            .where("job", "rat")
+            .or("job", null)
+            .cursorPaginate({ after: firstPage.nextCursor, orderBy: "name", limit: 2 });
+
+        expect(secondPage).toStrictEqual({ data: idRows.slice(2), nextCursor: null });
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text:
+                "SELECT * FROM tests WHERE (job = $1 OR job IS NULL) AND (tests.name, tests.id) > ($2, $3) " +
+                "ORDER BY tests.name ASC, tests.id ASC LIMIT $4;",
+            values: ["rat", "Gustavo", 2, 3],
+        });
+    });
+
+    test(`Order by the primary key in descending order`, async () => {
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [{ column_name: "id", data_type: "integer" }] })
+            .mockResolvedValueOnce(schema)
+            .mockResolvedValueOnce({ rows: [] });
+
+        const cursor = Buffer.from(JSON.stringify([3])).toString("base64url");
+
+        await model.table("tests").cursorPaginate({ after: cursor, direction: "desc" });
+
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "SELECT * FROM tests WHERE (tests.id) < ($1) ORDER BY tests.id DESC LIMIT $2;",
+            values: [3, 16],
+        });
+    });
+
+    test(`Use invalid cursor options`, async () => {
+        await expect(model.table("tests").cursorPaginate({ limit: 0 })).rejects.toThrow();
+        await expect(model.table("tests").cursorPaginate({ direction: "up" })).rejects.toThrow();
+
+        mockClient.query.mockResolvedValueOnce({ rows: [] });
+        await expect(model.table("tests").cursorPaginate()).rejects.toThrow();
+
+        mockClient.query.mockResolvedValueOnce({
+            rows: [{ column_name: "id", data_type: "integer" }],
+        });
+        await expect(
+            model.table("tests").cursorPaginate({ after: "not a cursor" })
+        ).rejects.toThrow();
+
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [{ column_name: "id", data_type: "integer" }] })
+            .mockResolvedValueOnce(schema)
+            .mockResolvedValueOnce({ rows: [{ name: "Micah" }, { name: "Gustavo" }] });
+        await expect(
+            model.table("tests").select("name").cursorPaginate({ limit: 1 })
+        ).rejects.toThrow();
+    });
+});
+
+describe(`TableQueryBuilder first and last methods with filters`, () => {
+    test(`Respect the where clause`, async () => {
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [idRows[1]] })
+            .mockResolvedValueOnce({ rows: [{ column_name: "id", data_type: "integer" }] })
+            .mockResolvedValueOnce({ rows: [idRows[2]] });
+
+        const first = await model.table("tests").where("name", "Gustavo").first();
+        const last = await model.table("tests").where("name", "Gustavo").last();
+
+        expect([first, last]).toStrictEqual([idRows[1], idRows[2]]);
+        expect(mockClient.query.mock.calls.map(([query]) => query)).toStrictEqual([
+            { text: "SELECT * FROM tests WHERE name = $1 LIMIT $2;", values: ["Gustavo", 1] },
+            expect.any(String),
+            {
+                text: "SELECT * FROM tests WHERE name = $1 ORDER BY (tests.id) DESC LIMIT $2;",
+                values: ["Gustavo", 1],
+            },
+        ]);
+    });
+});
+
+describe(`TableQueryBuilder last and cursorPaginate methods with joins`, () => {
+    test(`Qualify the primary key columns`, async () => {
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [{ column_name: "id", data_type: "integer" }] })
+            .mockResolvedValueOnce({ rows: [idRows[2]] })
+            .mockResolvedValueOnce({ rows: [{ column_name: "id", data_type: "integer" }] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [idRows[2]] });
+
+        await model.table("tests").innerJoin("posts", "posts.test_id", "tests.id").last();
+        await model.table("tests").innerJoin("posts", "posts.test_id", "tests.id").cursorPaginate();
+
+        expect(mockClient.query.mock.calls.map(([query]) => query.text).filter(Boolean)).toStrictEqual([
+            "SELECT * FROM tests INNER JOIN posts ON posts.test_id = tests.id ORDER BY (tests.id) DESC LIMIT $1;",
+            "SELECT * FROM tests INNER JOIN posts ON posts.test_id = tests.id ORDER BY tests.id ASC LIMIT $1;",
+        ]);
+    });
+});
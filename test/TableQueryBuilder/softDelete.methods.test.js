@@ -0,0 +1,119 @@
+import { beforeEach, jest } from "@jest/globals";
+import { model, mockClient } from "../";
+
+const now = new Date("2026-01-01T12:00:00.000Z");
+
+describe(`Soft delete tests`, () => {
+    model.configureTable("posts", { softDeletes: true });
+
+    beforeEach(() => {
+        mockClient.query.mockReset();
+        jest.clearAllMocks();
+        jest.setSystemTime(now);
+    });
+
+    test(`Delete sets the deletion column`, async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+        await model.table("posts").where("id", 1).or("id", 2).delete();
+
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "UPDATE posts SET deleted_at = $1 WHERE (id = $2 OR id = $3) AND posts.deleted_at IS NULL ;",
+            values: [now, 1, 2],
+        });
+    });
+
+    test(`forceDelete removes the rows`, async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+        await model.table("posts").where("id", 1).forceDelete();
+
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "DELETE FROM posts WHERE id = $1 ;",
+            values: [1],
+        });
+    });
+
+    test(`Select queries leave out deleted rows`, async () => {
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [] });
+
+        await model.table("posts").select().where("id", ">", 1).get();
+
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "SELECT * FROM posts WHERE (id > $1) AND posts.deleted_at IS NULL;",
+            values: [1],
+        });
+    });
+
+    test(`count, first and last leave out deleted rows`, async () => {
+        mockClient.query.mockResolvedValue({ rows: [{ count: "2", column_name: "id" }] });
+
+        await model.table("posts").count();
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "SELECT COUNT(*) AS count FROM posts WHERE posts.deleted_at IS NULL;",
+            values: [],
+        });
+
+        await model.table("posts").first();
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "SELECT * FROM posts WHERE posts.deleted_at IS NULL LIMIT $1;",
+            values: [1],
+        });
+
+        await model.table("posts").last();
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "SELECT * FROM posts WHERE posts.deleted_at IS NULL ORDER BY (posts.id) DESC LIMIT $1;",
+            values: [1],
+        });
+    });
+
+    test(`withTrashed and onlyTrashed`, async () => {
+        mockClient.query.mockResolvedValue({ rows: [{ count: "2" }] });
+
+        await model.table("posts").withTrashed().count();
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "SELECT COUNT(*) AS count FROM posts;",
+            values: [],
+        });
+
+        await model.table("posts").onlyTrashed().count();
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "SELECT COUNT(*) AS count FROM posts WHERE posts.deleted_at IS NOT NULL;",
+            values: [],
+        });
+    });
+
+    test(`The scope is added once per query`, async () => {
+        mockClient.query.mockResolvedValue({ rows: [{ count: "0" }] });
+
+        const table = model.table("posts");
+
+        await table.paginate({ perPage: 10 });
+
+        expect(mockClient.query.mock.calls.slice(1).map(([query]) => query.text)).toEqual([
+            "SELECT * FROM posts WHERE posts.deleted_at IS NULL LIMIT $1 OFFSET $2;",
+            "SELECT COUNT(*) AS count FROM posts WHERE posts.deleted_at IS NULL;",
+        ]);
+
+        await table.count();
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "SELECT COUNT(*) AS count FROM posts WHERE posts.deleted_at IS NULL;",
+            values: [],
+        });
+    });
+
+    test(`restore clears the deletion column`, async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+        await model.table("posts").where("id", 1).restore();
+
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "UPDATE posts SET deleted_at = $1 WHERE (id = $2) AND posts.deleted_at IS NOT NULL ;",
+            values: [null, 1],
+        });
+
+        await expect(model.table("tests").restore()).rejects.toThrow();
+    });
+});
@@ -0,0 +1,90 @@
+import { beforeEach, jest } from "@jest/globals";
+import { model, mockClient } from "../";
+import { idFieldMock, nameFieldMock } from "../../__mocks__/mocks.js";
+
+const now = new Date("2026-01-01T12:00:00.000Z");
+
+const timestampFieldMock = (column_name) => ({
+    column_name,
+    column_default: "CURRENT_TIMESTAMP",
+    is_nullable: "NO",
+    data_type: "timestamp without time zone",
+});
+
+describe(`Timestamps tests`, () => {
+    model.configureTable("stamped", { timestamps: true });
+    model.configureTable("renamed", { timestamps: { createdAt: "created", updatedAt: "modified" } });
+
+    const schema = [idFieldMock, nameFieldMock, timestampFieldMock("created_at"), timestampFieldMock("updated_at")];
+
+    beforeEach(() => {
+        mockClient.query.mockReset();
+        jest.clearAllMocks();
+        jest.setSystemTime(now);
+    });
+
+    test(`Insert fills both timestamps`, async () => {
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [{ column_name: "id", data_type: "integer" }] })
+            .mockResolvedValueOnce({ rows: schema })
+            .mockResolvedValueOnce({ rows: [] });
+
+        await model.table("stamped").insert([{ name: "Pete" }, { name: "Josh", created_at: "2020-01-01" }]);
+
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "INSERT INTO stamped (name,created_at,updated_at) VALUES ($1, $2, $3),($4, $5, $6) ",
+            values: ["Pete", now, now, "Josh", "2020-01-01", now],
+        });
+    });
+
+    test(`Update fills the update timestamp`, async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+        await model.table("stamped").where("id", 1).update({ name: "Pete" });
+
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "UPDATE stamped SET name = $1,updated_at = $2 WHERE id = $3 ;",
+            values: ["Pete", now, 1],
+        });
+    });
+
+    test(`Upsert keeps the creation timestamp of conflicting rows`, async () => {
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [{ column_name: "id", data_type: "integer" }] })
+            .mockResolvedValueOnce({ rows: schema })
+            .mockResolvedValueOnce({ rows: [] });
+
+        await model.table("stamped").upsert({ id: 1, name: "Pete" });
+
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "INSERT INTO stamped (id,name,created_at,updated_at) VALUES ($1, $2, $3, $4) ON CONFLICT (id) DO UPDATE SET name = EXCLUDED.name, updated_at = EXCLUDED.updated_at ",
+            values: [1, "Pete", now, now],
+        });
+    });
+
+    test(`Timestamp columns can be renamed`, async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+        await model.table("renamed").update({ name: "Pete" });
+
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "UPDATE renamed SET name = $1,modified = $2  ;",
+            values: ["Pete", now],
+        });
+    });
+
+    test(`Tables without timestamps are left alone`, async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+        await model.table("tests").update({ name: "Pete" });
+
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "UPDATE tests SET name = $1  ;",
+            values: ["Pete"],
+        });
+    });
+
+    test(`Invalid timestamp columns throw`, () => {
+        expect(() => model.configureTable("stamped", { timestamps: { createdAt: "select" } })).toThrow();
+    });
+});
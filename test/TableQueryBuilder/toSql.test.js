@@ -1,4 +1,4 @@
-import { model } from "../";
+import { model, mockClient } from "../";
 
 describe(`TableQueryBuilder toSql method tests`, () => {
     test(`Returns correct sql query`, () => {
@@ -10,5 +10,63 @@ describe(`TableQueryBuilder toSql method tests`, () => {
             .toSql();
 
         expect(["name", "age", "income"].every(field => sql.indexOf(field) > -1)).toBe(true);
-    })
-});
\ No newline at end of file
+    });
+
+    test(`Inlines the bound values as literals`, () => {
+        const sql = model.table("tests")
+            .select("name")
+            .where("job", ["chemist", "it's"])
+            .or("age", 30)
+            .toSql();
+
+        expect(sql).toBe(
+            `SELECT name FROM tests WHERE job IN ('chemist', 'it''s') OR age = '30';`
+        );
+    });
+});
+
+describe(`TableQueryBuilder toNative method tests`, () => {
+    test(`Returns numbered placeholders and their bindings`, () => {
+        const native = model.table("tests")
+            .select("name")
+            .innerJoin("users_addresses", function () {
+                this.on("tests.id", "=", "users_addresses.user_id")
+                    .onAnd("users_addresses.id", 12);
+            })
+            .where("name", "Micah")
+            .and("age", ">", 20)
+            .limit(5)
+            .toNative();
+
+        expect(native).toStrictEqual({
+            sql:
+                "SELECT name FROM tests INNER JOIN users_addresses " +
+                "ON tests.id = users_addresses.user_id AND users_addresses.id = $1 " +
+                "WHERE name = $2 AND age > $3 LIMIT $4;",
+            bindings: [12, "Micah", 20, 5],
+        });
+    });
+
+    test(`Leaves question marks inside literals and identifiers alone`, () => {
+        const native = model.table("tests")
+            .select('"what?"')
+            .where("name", "Micah")
+            .toNative();
+
+        expect(native.sql).toBe(`SELECT "what?" FROM tests WHERE name = $1;`);
+        expect(native.bindings).toStrictEqual(["Micah"]);
+    });
+
+    test(`Sends the values separately from the query text`, async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+        await model.table("tests")
+            .where("name", "Robert'); DROP TABLE tests;--")
+            .update({ job: "student" });
+
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "UPDATE tests SET job = $1 WHERE name = $2 ;",
+            values: ["student", "Robert'); DROP TABLE tests;--"],
+        });
+    });
+});
@@ -93,4 +93,26 @@ describe(`Model's upsert method tests`, () => {
 
         expect(upsertSpy).toHaveBeenCalledTimes(1);
     });
+
+    test(`Upsert into a table with a composite primary key`, async () => {
+        mockClient.query.mockReset();
+        mockClient.query
+            .mockResolvedValueOnce({
+                rows: [
+                    { column_name: "id", data_type: "integer" },
+                    { column_name: "name", data_type: "character varying" },
+                ],
+            })
+            .mockResolvedValueOnce({
+                rows: [idFieldMock, nameFieldMock, ageFieldMock],
+            })
+            .mockResolvedValueOnce({ rows: [] });
+
+        await table.upsert({ id: 3, name: "Pete", age: 23 });
+
+        expect(mockClient.query).toHaveBeenLastCalledWith({
+            text: "INSERT INTO tests (id,name,age) VALUES ($1, $2, $3) ON CONFLICT (id,name) DO UPDATE SET age = EXCLUDED.age ",
+            values: [3, "Pete", 23],
+        });
+    });
 });
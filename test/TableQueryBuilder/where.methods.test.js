@@ -0,0 +1,153 @@
+import { beforeEach, jest } from "@jest/globals";
+import { model, mockClient } from "../";
+
+beforeEach(() => {
+    mockClient.query.mockReset();
+    jest.clearAllMocks();
+});
+
+describe(`TableQueryBuilder where methods tests`, () => {
+    test(`Group conditions with a callback`, () => {
+        const native = model.table("tests")
+            .select()
+            .where("age", 1)
+            .and(function () {
+                this.where("name", "Micah").or("job", "rat");
+            })
+            .toNative();
+
+        expect(native).toStrictEqual({
+            sql: "SELECT * FROM tests WHERE age = $1 AND (name = $2 OR job = $3);",
+            bindings: [1, "Micah", "rat"],
+        });
+    });
+
+    test(`Nest groups with an arrow function callback`, () => {
+        const native = model.table("tests")
+            .select()
+            .where((q) => {
+                q.where("age", ">", 20).or((q) => {
+                    q.whereNull("age").whereNotNull("job");
+                });
+            })
+            .or("name", "Gustavo")
+            .toNative();
+
+        expect(native.sql).toBe(
+            "SELECT * FROM tests WHERE (age > $1 OR (age IS NULL AND job IS NOT NULL)) OR name = $2;"
+        );
+        expect(native.bindings).toStrictEqual([20, "Gustavo"]);
+    });
+
+    test(`Negate conditions`, () => {
+        const native = model.table("tests")
+            .select()
+            .whereNot("age", 29)
+            .orWhereNot((q) => q.whereIn("job", ["rat", "chemist"]))
+            .toNative();
+
+        expect(native.sql).toBe(
+            "SELECT * FROM tests WHERE NOT (age = $1) OR NOT (job IN ($2, $3));"
+        );
+        expect(native.bindings).toStrictEqual([29, "rat", "chemist"]);
+    });
+
+    test(`Use whereIn and whereNotIn`, () => {
+        const native = model.table("tests")
+            .select()
+            .whereIn("age", [29, 32])
+            .whereNotIn("job", ["rat"])
+            .whereIn("name", [])
+            .whereNotIn("name", [])
+            .toNative();
+
+        expect(native.sql).toBe(
+            "SELECT * FROM tests WHERE age IN ($1, $2) AND job NOT IN ($3) AND FALSE AND TRUE;"
+        );
+        expect(native.bindings).toStrictEqual([29, 32, "rat"]);
+    });
+
+    test(`Use whereBetween, whereLike and whereILike`, () => {
+        const native = model.table("tests")
+            .select()
+            .whereBetween("tests.age", [20, 30])
+            .whereLike("name", "Mi%")
+            .whereILike("job", "%RAT%")
+            .toNative();
+
+        expect(native.sql).toBe(
+            "SELECT * FROM tests WHERE tests.age BETWEEN $1 AND $2 AND name LIKE $3 AND job ILIKE $4;"
+        );
+        expect(native.bindings).toStrictEqual([20, 30, "Mi%", "%RAT%"]);
+    });
+
+    test(`Use whereRaw`, () => {
+        const native = model.table("tests")
+            .select()
+            .where("name", "Micah")
+            .whereRaw("age + ? > ? OR tags \\? 'x?'", [1, 30])
+            .toNative();
+
+        expect(native.sql).toBe(
+            "SELECT * FROM tests WHERE name = $1 AND (age + $2 > $3 OR tags ? 'x?');"
+        );
+        expect(native.bindings).toStrictEqual(["Micah", 1, 30]);
+    });
+
+    test(`An OR inside whereRaw doesn't escape the other conditions`, () => {
+        const native = model.table("tests")
+            .select()
+            .whereRaw("age = ? OR job = ?", [1, "rat"])
+            .where("name", "Micah")
+            .toNative();
+
+        expect(native.sql).toBe("SELECT * FROM tests WHERE (age = $1 OR job = $2) AND name = $3;");
+    });
+
+    test(`Use invalid arguments`, () => {
+        const table = model.table("tests");
+
+        expect(() => table.whereIn("age", 29)).toThrow();
+        expect(() => table.whereNotIn("age", "29")).toThrow();
+        expect(() => table.whereBetween("age", [1])).toThrow();
+        expect(() => table.whereRaw("")).toThrow();
+        expect(() => model.table("tests").orWhereNot("age", 29)).toThrow();
+    });
+
+    test(`Compile grouped conditions for update and delete`, async () => {
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [] });
+
+        await model.table("tests")
+            .where("job", "rat")
+            .and((q) => q.where("age", "<", 18).orWhereNot("age", ">", 65))
+            .update({ job: "retired" });
+
+        await model.table("tests")
+            .whereNull("name")
+            .or((q) => q.whereIn("age", [1, 2]))
+            .delete();
+
+        expect(mockClient.query.mock.calls.map(([query]) => query)).toStrictEqual([
+            {
+                text: "UPDATE tests SET job = $1 WHERE job = $2 AND (age < $3 OR NOT (age > $4)) ;",
+                values: ["retired", "rat", 18, 65],
+            },
+            {
+                text: "DELETE FROM tests WHERE name IS NULL OR (age IN ($1, $2)) ;",
+                values: [1, 2],
+            },
+        ]);
+    });
+
+    test(`Clear the conditions after a query`, async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+        const table = model.table("tests");
+
+        await table.where("age", 1).delete();
+
+        expect(table.select().toNative().sql).toBe("SELECT * FROM tests;");
+    });
+});
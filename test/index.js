@@ -9,4 +9,21 @@ const model = new Model({});
 const mockClient = Pool().connect();
 const mockEnd = Pool().end;
 
-export { model, mockClient, mockEnd };
\ No newline at end of file
+/**
+ * Lists the queries the mock client ran, oldest first.
+ * @param {boolean} [withValues=false] Whether to keep the query objects with their values, instead of only their sql.
+ * @returns {Array<string|object>} The queries.
+ */
+const queries = (withValues = false) =>
+    mockClient.query.mock.calls.map(([query]) => (withValues ? query : query.text ?? query));
+
+/**
+ * Creates an error like the ones of pg.
+ * @param {string} code The SQLSTATE code of the error.
+ * @param {object} [fields] Other fields of the error, e.g. `constraint`.
+ * @returns {Error} The error.
+ */
+const pgError = (code, fields = {}) =>
+    Object.assign(new Error(`pg error ${code}`), { code, severity: "ERROR", ...fields });
+
+export { model, mockClient, mockEnd, queries, pgError };